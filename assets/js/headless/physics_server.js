@@ -0,0 +1,92 @@
+/**
+ * Headless Physics Server
+ *
+ * Runs MujocoPhysics in Node.js, with no browser, GPU or Three.js, and joins
+ * the same mujoco:physics:<robot> channel(s) as the MujocoViewer hook, so
+ * BB.Mujoco.Bridge can drive simulation from tests and long experiments.
+ *
+ * Build (bundles phoenix and mujoco-js into priv/headless):
+ *
+ *   mix esbuild headless
+ *
+ * Run against a running Phoenix endpoint (Node 22+, or Node 20 with
+ * --experimental-websocket):
+ *
+ *   node priv/headless/physics_server.mjs BbMujoco.Examples.SixDofArm \
+ *     --url http://localhost:4000
+ *
+ * Options:
+ * - --url: Endpoint origin for the MJCF/asset downloads and the socket
+ *   (default http://localhost:4000; must be absolute)
+ * - --socket-path: Path BB.Mujoco.Socket is mounted at (default /mujoco)
+ * - --json: Decline binary framing for step commands
+ *
+ * Every command of the protocol works except get_camera_image, which needs
+ * the viewer's renderer and fails with "Unknown command". If the endpoint
+ * restarts or the connection drops, the server reconnects and resumes from
+ * its current simulation state.
+ */
+
+import { parseArgs } from 'node:util';
+import { Socket } from 'phoenix';
+import loadMujoco from 'mujoco-js';
+import MujocoPhysics from '../physics/mujoco_physics.js';
+import { joinPhysicsChannels, RECONNECT_OPTIONS } from '../physics/physics_channel.js';
+
+const USAGE = 'Usage: physics_server.mjs <Robot.Module> [--url http://localhost:4000] [--socket-path /mujoco] [--json]';
+
+const OPTIONS = {
+  url: { type: 'string', default: 'http://localhost:4000' },
+  'socket-path': { type: 'string', default: '/mujoco' },
+  json: { type: 'boolean', default: false }
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [robot] = positionals;
+
+  if (!robot) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (typeof WebSocket === 'undefined') {
+    console.error('[PhysicsServer] WebSocket unavailable: use Node 22+, or Node 20 with --experimental-websocket');
+    process.exit(1);
+  }
+
+  const baseUrl = values.url.replace(/\/$/, '');
+  MujocoPhysics.baseUrl = baseUrl;
+  MujocoPhysics.loadMujoco = loadMujoco;
+
+  await MujocoPhysics.load(robot);
+  const info = MujocoPhysics.getModelInfo();
+  console.log('[PhysicsServer] Model loaded:', Object.keys(info.robots).join(', '));
+
+  const socket = new Socket(`${baseUrl.replace(/^http/, 'ws')}${values['socket-path']}`, {
+    ...RECONNECT_OPTIONS,
+    transport: WebSocket
+  });
+  socket.connect();
+
+  const channels = joinPhysicsChannels(socket, info, {
+    execute: (payload, name) => (payload instanceof ArrayBuffer
+      ? MujocoPhysics.handleBinaryCommand(payload, name)
+      : MujocoPhysics.handleCommand(payload, name)),
+    binary: !values.json
+  });
+
+  const shutdown = () => {
+    console.log('[PhysicsServer] Shutting down');
+    channels.leave();
+    socket.disconnect();
+    MujocoPhysics.unload();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('[PhysicsServer] Failed to start:', error);
+  process.exit(1);
+});
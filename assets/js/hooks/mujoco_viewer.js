@@ -5,22 +5,29 @@
  * Acts as a "physics server" that Elixir commands remotely.
  *
  * Architecture:
- * - MuJoCo WASM runs physics in browser
+ * - MuJoCo WASM runs physics in a Web Worker (workers/physics_worker.js)
  * - Phoenix Channel receives commands from Elixir (BB.Mujoco.Bridge)
- * - This hook processes commands and returns physics state
- * - Three.js renders the scene
+ * - This hook relays commands to the worker and returns physics state
+ * - Multi-robot scenes join one channel per robot (mujoco:physics:<robot>);
+ *   commands are tagged with the robot before they reach the worker
+ * - The channel protocol lives in physics/physics_channel.js, shared with the
+ *   headless Node server (headless/physics_server.js)
+ * - Three.js renders the scene from body poses sent back by the worker
+ * - get_camera_image is answered here: MJCF <camera>s are rendered offscreen
+ *   from their cam_xpos/cam_xmat poses and the RGB (and depth) pixels
+ *   returned base64-encoded
+ * - While no BB.Mujoco.Simulation is driving physics (paused, or none
+ *   running), the viewer free-runs it in the render loop at a real-time
+ *   factor (mujoco_run / mujoco_step events); while one drives, or the
+ *   channels are (re)connecting, only Elixir steps physics
  *
- * Commands (Elixir → Browser):
- * - set_joints: Set target joint positions
- * - get_joints: Get current joint positions
- * - get_velocities: Get current joint velocities
- * - step: Advance physics by dt seconds
- * - reset: Reset simulation to initial state
+ * See physics/mujoco_physics.js for the command protocol.
  */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { Socket } from 'phoenix';
+import { joinPhysicsChannels, RECONNECT_OPTIONS } from '../physics/physics_channel.js';
 
 // ============================================================================
 // MuJoCo Utilities (coordinate swizzle: MuJoCo Z-up → Three.js Y-up)
@@ -58,15 +65,152 @@ function getQuaternion(buffer, index, target, swizzle = true) {
   );
 }
 
+// Material texture role holding the base color (mjTEXROLE_RGB), for models
+// where mat_texid has one entry per role
+const TEXROLE_RGB = 1;
+
+// Three.js layer holding debug overlays (see onOverlayLayer)
+const OVERLAY_LAYER = 1;
+
+// Simulated camera images: default and maximum resolution, clip planes (m)
+const CAMERA_IMAGE_SIZE = [320, 240];
+const CAMERA_IMAGE_MAX = 2048;
+const CAMERA_NEAR = 0.01;
+const CAMERA_FAR = 50;
+
+// Orbit camera: field of view, direction it frames the model from, margin
+// around the model's bounding sphere and distance limits (m)
+const VIEWER_FOV = 45;
+const DEFAULT_VIEW_DIRECTION = new THREE.Vector3(0.8, 0.5, 0.8);
+const FRAME_MARGIN = 1.2;
+const MIN_FRAME_DISTANCE = 0.3;
+const DEFAULT_FRAME_DISTANCE = 1.2;
+
+// Plane and heightfield geoms, left out of the framing box
+const UNFRAMED_GEOMS = [0, 1];
+
+// Geom groups shown until the LiveView says otherwise (as in MuJoCo)
+const DEFAULT_GEOM_GROUPS = [0, 1, 2];
+
+// Debug overlays that can be toggled with mujoco_visibility
+const OVERLAYS = ['contacts', 'joints', 'frames', 'com', 'inertia', 'tendons', 'scans'];
+
+// Overlay sizes in meters
+const JOINT_AXIS_LENGTH = 0.08;
+const BODY_FRAME_SIZE = 0.06;
+const COM_RADIUS = 0.008;
+
+// mjtJoint / mjtTrn values used by the joint axis overlay
+const JOINT_BALL = 1, JOINT_SLIDE = 2, JOINT_HINGE = 3;
+const TRN_JOINT = 0;
+
+// Rendered extent of infinite planes (MJCF size 0) and their default grid
+// spacing, in meters
+const INFINITE_PLANE_EXTENT = 40;
+const DEFAULT_GRID_SPACING = 1;
+
+// Force arrow length in meters per newton (and a floor so small forces show)
+const FORCE_ARROW_SCALE = 0.01;
+const FORCE_ARROW_MIN = 0.05;
+
+// Contact markers: point size and normal-force arrow meters per newton
+const CONTACT_POINT_RADIUS = 0.006;
+const CONTACT_ARROW_SCALE = 0.005;
+
+// LiDAR scan point size in pixels
+const SCAN_POINT_SIZE = 4;
+
+// Free run: per-frame stepping budget (ms), the longest frame gap simulated
+// (ms), how far sim time may drift from its target before resyncing (s), and
+// the shortest interval between sim time reports to the LiveView (ms)
+const FREE_RUN_BUDGET_MS = 12;
+const MAX_FRAME_MS = 100;
+const MAX_RUN_LAG = 0.25;
+const RUN_STATUS_INTERVAL_MS = 250;
+
+// Debug overlays are drawn by the viewer camera only, never by simulated cameras
+function onOverlayLayer(object) {
+  object.traverse(child => child.layers.set(OVERLAY_LAYER));
+  return object;
+}
+
+// A real-time factor from an event or data attribute: a positive number or
+// 'max' (as fast as possible); null if it's neither
+function parseRealTimeFactor(value) {
+  if (value === 'max') return 'max';
+  const factor = Number(value);
+  return factor > 0 ? factor : null;
+}
+
+// Base64 of a byte view, in chunks so large images don't overflow the stack
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Three.js Y-up vector → MuJoCo Z-up [x, y, z] (inverse of getPosition)
+function toMujoco(vector) {
+  return [vector.x, -vector.z, vector.y];
+}
+
 // ============================================================================
 // MuJoCo Viewer Hook
 // ============================================================================
 
 const MujocoViewer = {
-  // MuJoCo state
-  mujoco: null,
+  // Physics worker state
+  worker: null,
+  workerRequests: {},
+  workerSeq: 0,
+
+  // Render model (copied from the worker's MjModel), latest body and camera
+  // poses, and the simulation time they were taken at
   model: null,
-  data: null,
+  modelInfo: null,
+  poses: null,
+  cameraPoses: null,
+  simTime: 0,
+
+  // Replay mode: body poses come from a recorded trajectory, not live physics
+  replaying: false,
+  replayPoses: null,
+
+  // Viewer camera: framing distance (for presets), followed body and MJCF
+  // camera being looked through (null for the orbit camera)
+  frameDistance: DEFAULT_FRAME_DISTANCE,
+  followBody: null,
+  viewCamera: null,
+  orbitPose: null,
+
+  // Simulated cameras: one PerspectiveCamera, render targets keyed by size
+  sensorCamera: null,
+  cameraTargets: {},
+  depthMaterial: null,
+
+  // Arrows for forces applied with apply_force (reused between updates)
+  forceArrows: [],
+
+  // Visible geom groups (MuJoCo shows 0-2 by default) and debug overlays
+  geomGroups: [...DEFAULT_GEOM_GROUPS],
+  overlays: {},
+  overlayObjects: {},
+
+  // Contact overlay: latest contacts and pooled { point, arrow } markers
+  contacts: [],
+  contactMarkers: [],
+
+  // Tendon overlay: latest tendon paths and pooled line segments
+  tendons: [],
+  tendonLines: [],
+  scans: {},
+  scanClouds: {},
+
+  // Mouse perturbation ({ bodyGroup, localPoint, plane, cursor, line })
+  raycaster: null,
+  perturb: null,
 
   // Three.js state
   scene: null,
@@ -75,38 +219,71 @@ const MujocoViewer = {
   controls: null,
   bodies: {},
   meshes: {},
+  textures: {},
   mujocoRoot: null,
 
   // Channel state
   physicsSocket: null,
-  physicsChannel: null,
+  physicsChannels: null,
+
+  // Free run: whether a Simulation is driving (physics_channel.js
+  // driverStatus), who is stepping physics ('connecting', 'elixir',
+  // 'free_run' or 'paused'), the real-time factor (a number, or 'max') and
+  // the sim time free-running is heading for
+  driverStatus: 'connecting',
+  runMode: null,
+  paused: false,
+  realTimeFactor: 1,
+  runTarget: null,
+  runPending: false,
+  lastFrameAt: 0,
+  lastRunStatusAt: 0,
+  lastRunStatusTime: null,
 
   // Config
   robot: null,
 
-  // Note: Physics stepping is now controlled by Elixir Simulation GenServer
-  // Browser only responds to Channel commands (step, step_with_targets, etc.)
-
   // ============================================================================
   // Lifecycle
   // ============================================================================
 
   async mounted() {
     this.robot = this.el.dataset.robot;
+    this.workerRequests = {};
+    this.cameraTargets = {};
+    this.followBody = null;
+    this.viewCamera = null;
+    this.forceArrows = [];
+    this.geomGroups = [...DEFAULT_GEOM_GROUPS];
+    this.overlays = {};
+    this.overlayObjects = {};
+    this.contacts = [];
+    this.contactMarkers = [];
+    this.tendons = [];
+    this.tendonLines = [];
+    this.scans = {};
+    this.scanClouds = {};
+    this.paused = this.el.dataset.paused === 'true';
+    this.realTimeFactor = parseRealTimeFactor(this.el.dataset.realTimeFactor) || 1;
     console.log('[MujocoViewer] Mounting for robot:', this.robot);
 
     // Register camera handler (visualization-only LiveView events)
     this.setupCameraHandler();
+    this.setupReplayHandler();
+    this.setupOverlayHandler();
+    this.setupRunHandler();
 
     try {
       // Initialize Three.js
       this.initThreeJS();
+      this.setupPerturbation();
 
-      // Initialize MuJoCo WASM
+      // Initialize MuJoCo WASM in the physics worker
       await this.initMuJoCo();
 
       // Build scene from model
       await this.buildSceneFromMuJoCo();
+      this.frameModel();
 
       // Connect to physics channel
       this.connectPhysicsChannel();
@@ -115,16 +292,7 @@ const MujocoViewer = {
       this.startRenderLoop();
 
       // Notify LiveView with joint info
-      this.pushEvent('mujoco_status', {
-        status: 'ready',
-        nbody: this.model.nbody,
-        njnt: this.model.njnt,
-        nq: this.model.nq,
-        nv: this.model.nv,
-        nu: this.model.nu,
-        joint_names: this.getJointNames(),
-        joint_ranges: this.getJointRanges()
-      });
+      this.pushEvent('mujoco_status', { status: 'ready', ...this.modelInfo });
 
       // Physics stepping is now controlled by Elixir Simulation GenServer
       // via Channel commands (step_with_targets at 50Hz)
@@ -149,82 +317,61 @@ const MujocoViewer = {
   // ============================================================================
 
   async initMuJoCo() {
-    console.log('[MujocoViewer] Loading MuJoCo WASM...');
-
-    // Dynamic import of MuJoCo WASM from vendor
-    const { default: load_mujoco } = await import('/vendor/mujoco_wasm.js');
-    this.mujoco = await load_mujoco();
+    console.log('[MujocoViewer] Starting physics worker...');
 
-    console.log('[MujocoViewer] MuJoCo WASM loaded');
+    const workerPath = this.el.dataset.workerPath || '/assets/js/workers/physics_worker.js';
+    this.worker = new Worker(workerPath, { type: 'module' });
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('[MujocoViewer] Physics worker error:', event.message);
+    };
 
-    // Set up virtual filesystem
-    this.mujoco.FS.mkdir('/working');
-    this.mujoco.FS.mount(this.mujoco.MEMFS, { root: '.' }, '/working');
-    this.mujoco.FS.mkdir('/working/assets');
+    await this.loadModel(this.robot);
+  },
 
-    // Download MJCF from server
-    await this.downloadMJCF();
+  // Load (or reload) the robot in the worker and keep its render model
+  async loadModel(robot) {
+    const { model, info, poses, cameras } = await this.requestWorker({ type: 'load', robot });
 
-    // Load model
-    console.log('[MujocoViewer] Loading MuJoCo model...');
-    this.model = this.mujoco.MjModel.loadFromXML('/working/scene.xml');
-    if (!this.model) {
-      throw new Error('Failed to load MuJoCo model');
-    }
+    this.model = model;
+    this.modelInfo = info;
+    this.poses = poses;
+    this.cameraPoses = cameras;
+    this.simTime = 0;
 
-    this.data = new this.mujoco.MjData(this.model);
-    if (!this.data) {
-      throw new Error('Failed to create MuJoCo data');
-    }
+    console.log('[MujocoViewer] Model loaded:', info);
+  },
 
-    console.log('[MujocoViewer] Model loaded:', {
-      nbody: this.model.nbody,
-      njnt: this.model.njnt,
-      ngeom: this.model.ngeom,
-      nq: this.model.nq,
-      nv: this.model.nv,
-      nu: this.model.nu
+  requestWorker(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.workerSeq;
+      this.workerRequests[id] = { resolve, reject };
+      this.worker.postMessage({ ...message, id }, transfer);
     });
-
-    // Expose for debugging
-    window.mjModel = this.model;
-    window.mjData = this.data;
   },
 
-  async downloadMJCF() {
-    console.log('[MujocoViewer] Downloading MJCF...');
-
-    // Get MJCF from API
-    const response = await fetch(`/api/mujoco/mjcf/${this.robot}`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch MJCF: ${response.statusText}`);
+  handleWorkerMessage(message) {
+    if (message.type === 'progress') {
+      this.reportLoadProgress(message);
+      return;
     }
-    const mjcf = await response.text();
-    this.mujoco.FS.writeFile('/working/scene.xml', mjcf);
 
-    // Get assets list and download
-    try {
-      const assetsResponse = await fetch(`/api/mujoco/mjcf/${this.robot}/assets`);
-      if (assetsResponse.ok) {
-        const assetList = await assetsResponse.json();
-        console.log('[MujocoViewer] Assets to download:', assetList);
-        for (const asset of assetList.assets || []) {
-          const assetResponse = await fetch(`/api/mujoco/mjcf/${this.robot}/assets/${asset}`);
-          if (assetResponse.ok) {
-            const data = new Uint8Array(await assetResponse.arrayBuffer());
-            const path = `/working/assets/${asset}`;
-            console.log(`[MujocoViewer] Writing asset: ${path} (${data.length} bytes)`);
-            this.mujoco.FS.writeFile(path, data);
-          }
-        }
-        // Debug: list files in /working/assets
-        console.log('[MujocoViewer] Files in /working/assets:', this.mujoco.FS.readdir('/working/assets'));
-      }
-    } catch (e) {
-      console.warn('[MujocoViewer] No assets to download:', e.message);
+    const request = this.workerRequests[message.id];
+    if (!request) return;
+    delete this.workerRequests[message.id];
+
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+    } else {
+      request.resolve(message);
     }
   },
 
+  // Model asset downloads, shown by the LiveView's loading overlay
+  reportLoadProgress({ loaded, total, cached }) {
+    this.pushEvent('mujoco_status', { status: 'loading', loaded, total, cached });
+  },
+
   // ============================================================================
   // Phoenix Channel Connection
   // ============================================================================
@@ -233,146 +380,66 @@ const MujocoViewer = {
     console.log('[MujocoViewer] Connecting to physics channel...');
 
     const socketPath = this.el.dataset.socketPath || '/mujoco';
-    this.physicsSocket = new Socket(socketPath, {});
+    // Reconnects (and rejoins with a state resync) if the WebSocket drops
+    this.physicsSocket = new Socket(socketPath, RECONNECT_OPTIONS);
     this.physicsSocket.connect();
 
-    this.physicsChannel = this.physicsSocket.channel(`mujoco:physics:${this.robot}`, {});
-
-    // Handle physics commands from Elixir
-    this.physicsChannel.on("physics:command", (payload) => {
-      this.handlePhysicsCommand(payload);
-    });
-
-    this.physicsChannel.join()
-      .receive("ok", () => {
-        console.log('[MujocoViewer] Joined physics channel');
-        this.physicsChannel.push("physics:ready", {
-          nq: this.model.nq,
-          nv: this.model.nv,
-          nu: this.model.nu
-        });
-      })
-      .receive("error", (resp) => {
-        console.error('[MujocoViewer] Failed to join channel:', resp);
-      });
+    this.joinPhysicsChannels();
   },
 
-  handlePhysicsCommand(payload) {
-    const { cmd, id, params } = payload;
-    let response = { id, status: "ok" };
-
-    try {
-      switch (cmd) {
-        case "set_joints":
-          this.setJoints(params.joints);
-          break;
-
-        case "get_joints":
-          response.joints = this.getJoints();
-          break;
-
-        case "get_velocities":
-          response.velocities = this.getVelocities();
-          break;
-
-        case "step":
-          const stepResult = this.step(params.dt);
-          response = { ...response, ...stepResult };
-          break;
-
-        case "step_with_targets":
-          // Debug: log every 50th step (1 second)
-          if (id % 50 === 0) {
-            console.log(`[MujocoViewer] step_with_targets: targets=${JSON.stringify(params.targets)}, ctrl before=${JSON.stringify(Array.from(this.data.ctrl).slice(0, this.model.nu))}`);
-          }
-          this.setJoints(params.targets);
-          const result = this.step(params.dt);
-          if (id % 50 === 0) {
-            console.log(`[MujocoViewer] after step: ctrl=${JSON.stringify(Array.from(this.data.ctrl).slice(0, this.model.nu))}, qpos=${JSON.stringify(result.joints)}`);
-          }
-          response = { ...response, ...result };
-          break;
-
-        case "reset":
-          this.reset();
-          break;
-
-        case "get_state":
-          response.joints = this.getJoints();
-          response.velocities = this.getVelocities();
-          response.time = this.data.time;
-          break;
-
-        default:
-          response.status = "error";
-          response.message = `Unknown command: ${cmd}`;
+  // One channel per robot in the model (a plain robot model has just one);
+  // see physics/physics_channel.js for the protocol
+  joinPhysicsChannels() {
+    this.physicsChannels = joinPhysicsChannels(this.physicsSocket, this.modelInfo, {
+      execute: (payload, robot) => this.handlePhysicsCommand(payload, robot),
+      binary: this.el.dataset.binary !== 'false',
+      onStatus: (status) => {
+        console.log('[MujocoViewer] Driver status:', status);
+        this.driverStatus = status;
       }
-    } catch (error) {
-      response.status = "error";
-      response.message = error.message;
-      console.error('[MujocoViewer] Command error:', error);
-    }
-
-    this.physicsChannel.push("physics:response", response);
+    });
   },
 
-  // ============================================================================
-  // Physics Operations
-  // ============================================================================
-
-  setJoints(joints) {
-    const nu = this.model.nu;
-    for (let i = 0; i < Math.min(joints.length, nu); i++) {
-      this.data.ctrl[i] = joints[i];
+  leavePhysicsChannels() {
+    if (this.physicsChannels) {
+      this.physicsChannels.leave();
+      this.physicsChannels = null;
     }
+    this.driverStatus = 'connecting';
   },
 
-  getJoints() {
-    const nu = this.model.nu;
-    const joints = [];
+  // Run a command in the worker and update the scene from the poses it
+  // returns; the response goes back on the robot's channel
+  async handlePhysicsCommand(payload, robot) {
+    const binary = payload instanceof ArrayBuffer;
 
-    for (let i = 0; i < nu; i++) {
-      const jointId = this.model.actuator_trnid[i * 2];
-      const qposAdr = this.model.jnt_qposadr[jointId];
-      joints.push(this.data.qpos[qposAdr]);
+    // Simulated cameras need the Three.js scene, so they're rendered here
+    if (!binary && payload.cmd === 'get_camera_image') {
+      return this.handleCameraCommand(payload);
     }
 
-    return joints;
-  },
-
-  getVelocities() {
-    const nu = this.model.nu;
-    const velocities = [];
-
-    for (let i = 0; i < nu; i++) {
-      const jointId = this.model.actuator_trnid[i * 2];
-      const qvelAdr = this.model.jnt_dofadr[jointId];
-      velocities.push(this.data.qvel[qvelAdr]);
-    }
+    // Binary frames are transferred to the worker
+    const result = await this.requestWorker(
+      { type: 'command', command: payload, robot },
+      binary ? [payload] : []
+    );
+    this.applyWorkerState(result);
 
-    return velocities;
+    return result.response;
   },
 
-  step(dt) {
-    const numSteps = Math.max(1, Math.round(dt / this.model.opt.timestep));
-
-    for (let i = 0; i < numSteps; i++) {
-      this.mujoco.mj_step(this.model, this.data);
+  // Take the simulation state a command or free-run step left behind
+  applyWorkerState(result) {
+    this.poses = result.poses;
+    this.cameraPoses = result.cameras;
+    this.simTime = result.time;
+    this.contacts = result.contacts;
+    this.tendons = result.tendons;
+    this.scans = result.scans;
+    if (!this.replaying) {
+      this.updateBodyTransforms(result.poses);
+      this.updateForceArrows(result.forces);
     }
-
-    this.updateBodyTransforms();
-
-    return {
-      joints: this.getJoints(),
-      velocities: this.getVelocities(),
-      time: this.data.time
-    };
-  },
-
-  reset() {
-    this.mujoco.mj_resetData(this.model, this.data);
-    this.mujoco.mj_forward(this.model, this.data);
-    this.updateBodyTransforms();
   },
 
   // ============================================================================
@@ -390,8 +457,9 @@ const MujocoViewer = {
     this.scene.fog = new THREE.Fog(0x1e293b, 15, 25);
 
     // Camera
-    this.camera = new THREE.PerspectiveCamera(45, width / height, 0.001, 100);
+    this.camera = new THREE.PerspectiveCamera(VIEWER_FOV, width / height, 0.001, 100);
     this.camera.position.set(0.8, 0.5, 0.8);
+    this.camera.layers.enable(OVERLAY_LAYER);
 
     // Renderer
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -424,18 +492,24 @@ const MujocoViewer = {
     console.log('[MujocoViewer] Building Three.js scene from MuJoCo model...');
 
     const model = this.model;
-    const textDecoder = new TextDecoder('utf-8');
 
     // Create root group
     this.mujocoRoot = new THREE.Group();
     this.mujocoRoot.name = 'MuJoCo Root';
     this.scene.add(this.mujocoRoot);
 
-    // Loop through geoms and create Three.js meshes
-    for (let g = 0; g < model.ngeom; g++) {
-      // Skip collision geoms (group 3)
-      if (model.geom_group[g] >= 3) continue;
+    // One group per body, including bodies without geoms (for overlays)
+    for (let b = 0; b < model.nbody; b++) {
+      const bodyGroup = new THREE.Group();
+      bodyGroup.bodyID = b;
+      bodyGroup.name = model.body_names[b];
+
+      this.bodies[b] = bodyGroup;
+    }
 
+    // Loop through geoms and create Three.js meshes (collision-only groups
+    // are built too, hidden until their group is toggled on)
+    for (let g = 0; g < model.ngeom; g++) {
       const bodyId = model.geom_bodyid[g];
       const type = model.geom_type[g];
       const size = [
@@ -444,33 +518,21 @@ const MujocoViewer = {
         model.geom_size[(g * 3) + 2]
       ];
 
-      // Create body group if needed
-      if (!(bodyId in this.bodies)) {
-        const bodyGroup = new THREE.Group();
-        bodyGroup.bodyID = bodyId;
-
-        const nameStart = model.name_bodyadr[bodyId];
-        let nameEnd = nameStart;
-        const namesArray = new Uint8Array(model.names);
-        while (nameEnd < namesArray.length && namesArray[nameEnd] !== 0) {
-          nameEnd++;
-        }
-        bodyGroup.name = textDecoder.decode(namesArray.subarray(nameStart, nameEnd));
-
-        this.bodies[bodyId] = bodyGroup;
-      }
-
       // Create geometry
       let geometry = this.createGeometry(type, size, g);
       if (!geometry) continue;
 
       // Create material
-      const material = this.createMaterial(g);
+      const material = this.createMaterial(g, geometry);
 
       // Create mesh
       const mesh = new THREE.Mesh(geometry, material);
       mesh.castShadow = true;
       mesh.receiveShadow = true;
+      mesh.geomID = g;
+      mesh.geomType = type;
+      mesh.geomGroup = model.geom_group[g];
+      mesh.visible = this.geomGroups.includes(mesh.geomGroup);
 
       // Set local position/rotation
       getPosition(model.geom_pos, g, mesh.position);
@@ -482,34 +544,46 @@ const MujocoViewer = {
         mesh.scale.set(size[0], size[2], size[1]);
       }
 
+      if (type === 0 && (size[0] <= 0 || size[1] <= 0)) { // Infinite plane
+        mesh.add(this.createPlaneGrid(size));
+      }
+
       this.bodies[bodyId].add(mesh);
     }
 
     // Add bodies to scene
     for (let b = 0; b < model.nbody; b++) {
-      if (b === 0 || !this.bodies[0]) {
+      if (b === 0) {
         this.mujocoRoot.add(this.bodies[b]);
-      } else if (this.bodies[b]) {
+      } else {
         this.bodies[0].add(this.bodies[b]);
       }
     }
 
-    // Initial forward kinematics
-    this.mujoco.mj_forward(this.model, this.data);
-    this.updateBodyTransforms();
+    this.buildOverlays();
+
+    // Initial pose (forward kinematics already ran in the worker)
+    this.updateBodyTransforms(this.poses);
 
     console.log(`[MujocoViewer] Built scene with ${Object.keys(this.bodies).length} bodies`);
   },
 
   createGeometry(type, size, geomIndex) {
-    const PLANE = 0, SPHERE = 2, CAPSULE = 3, ELLIPSOID = 4, CYLINDER = 5, BOX = 6, MESH = 7;
+    const PLANE = 0, HFIELD = 1, SPHERE = 2, CAPSULE = 3, ELLIPSOID = 4, CYLINDER = 5, BOX = 6, MESH = 7, SDF = 8;
 
     switch (type) {
       case PLANE:
-        const planeGeom = new THREE.PlaneGeometry(20, 20);
+        // Half-extents; 0 along an axis means the plane is infinite
+        const planeGeom = new THREE.PlaneGeometry(
+          size[0] > 0 ? size[0] * 2 : INFINITE_PLANE_EXTENT,
+          size[1] > 0 ? size[1] * 2 : INFINITE_PLANE_EXTENT
+        );
         planeGeom.rotateX(-Math.PI / 2);
         return planeGeom;
 
+      case HFIELD:
+        return this.createHeightfieldGeometry(geomIndex);
+
       case SPHERE:
         return new THREE.SphereGeometry(size[0], 32, 32);
 
@@ -528,6 +602,7 @@ const MujocoViewer = {
         return new THREE.BoxGeometry(size[0] * 2, size[2] * 2, size[1] * 2);
 
       case MESH:
+      case SDF: // SDF geoms render their mesh asset
         return this.createMeshGeometry(geomIndex);
 
       default:
@@ -535,6 +610,73 @@ const MujocoViewer = {
     }
   },
 
+  // Grid lines over an infinite plane, spaced by the plane's third size
+  // parameter like MuJoCo's own renderer
+  createPlaneGrid(size) {
+    const spacing = size[2] > 0 ? size[2] : DEFAULT_GRID_SPACING;
+    const divisions = Math.round(INFINITE_PLANE_EXTENT / spacing);
+    const grid = new THREE.GridHelper(INFINITE_PLANE_EXTENT, divisions, 0x64748b, 0x475569);
+    grid.position.y = 0.001;
+    grid.material.transparent = true;
+    grid.material.opacity = 0.5;
+    return grid;
+  },
+
+  // Heightfield surface: an nrow × ncol elevation grid (normalized to 0..1)
+  // spanning ±radius in x/y and scaled by the elevation size in z
+  createHeightfieldGeometry(geomIndex) {
+    const model = this.model;
+    const hfieldId = model.geom_dataid[geomIndex];
+
+    if (hfieldId < 0 || !model.hfield_data) return null;
+
+    const nrow = model.hfield_nrow[hfieldId];
+    const ncol = model.hfield_ncol[hfieldId];
+
+    // A single row or column has no cells to triangulate
+    if (nrow < 2 || ncol < 2) return null;
+
+    const adr = model.hfield_adr[hfieldId];
+    const [radiusX, radiusY, elevation] = model.hfield_size.subarray(hfieldId * 4, (hfieldId * 4) + 3);
+
+    const positions = new Float32Array(nrow * ncol * 3);
+    const uvs = new Float32Array(nrow * ncol * 2);
+
+    for (let r = 0; r < nrow; r++) {
+      for (let c = 0; c < ncol; c++) {
+        const i = (r * ncol) + c;
+        const x = ((2 * c / (ncol - 1)) - 1) * radiusX;
+        const y = ((2 * r / (nrow - 1)) - 1) * radiusY;
+        const z = model.hfield_data[adr + i] * elevation;
+
+        // Swizzle (MuJoCo Z-up → Three.js Y-up)
+        positions[(i * 3) + 0] = x;
+        positions[(i * 3) + 1] = z;
+        positions[(i * 3) + 2] = -y;
+        uvs[(i * 2) + 0] = c / (ncol - 1);
+        uvs[(i * 2) + 1] = r / (nrow - 1);
+      }
+    }
+
+    const indices = [];
+    for (let r = 0; r < nrow - 1; r++) {
+      for (let c = 0; c < ncol - 1; c++) {
+        const a = (r * ncol) + c;
+        const b = a + 1;
+        const d = a + ncol;
+        const e = d + 1;
+        indices.push(a, b, e, a, e, d);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  },
+
   createMeshGeometry(geomIndex) {
     const model = this.model;
     const meshId = model.geom_dataid[geomIndex];
@@ -563,15 +705,56 @@ const MujocoViewer = {
     const faceCount = model.mesh_facenum[meshId];
     const faceBuffer = model.mesh_face.subarray(faceStart, faceStart + faceCount * 3);
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(swizzledVerts, 3));
-    geometry.setIndex(Array.from(faceBuffer));
-    geometry.computeVertexNormals();
+    if (model.mesh_facenormal) {
+      // Normals and UVs are indexed per face corner, independently of the
+      // vertices, so the mesh is expanded to one vertex per corner
+      this.setCornerAttributes(geometry, meshId, swizzledVerts, faceBuffer, faceStart);
+    } else {
+      geometry.setAttribute('position', new THREE.BufferAttribute(swizzledVerts, 3));
+      geometry.setIndex(Array.from(faceBuffer));
+      geometry.computeVertexNormals();
+    }
 
     this.meshes[meshId] = geometry;
     return geometry.clone();
   },
 
-  createMaterial(geomIndex) {
+  // Positions, MJCF normals and (if the mesh has them) texture coordinates
+  // for every face corner
+  setCornerAttributes(geometry, meshId, swizzledVerts, faceBuffer, faceStart) {
+    const model = this.model;
+    const corners = faceBuffer.length;
+    const normalStart = model.mesh_normaladr[meshId] * 3;
+    const texcoordAdr = model.mesh_texcoordadr ? model.mesh_texcoordadr[meshId] : -1;
+
+    const positions = new Float32Array(corners * 3);
+    const normals = new Float32Array(corners * 3);
+    const uvs = texcoordAdr >= 0 ? new Float32Array(corners * 2) : null;
+
+    for (let c = 0; c < corners; c++) {
+      const v = faceBuffer[c] * 3;
+      positions.set(swizzledVerts.subarray(v, v + 3), c * 3);
+
+      const n = normalStart + (model.mesh_facenormal[faceStart + c] * 3);
+      normals[(c * 3) + 0] = model.mesh_normal[n + 0];
+      normals[(c * 3) + 1] = model.mesh_normal[n + 2];
+      normals[(c * 3) + 2] = -model.mesh_normal[n + 1];
+
+      if (uvs) {
+        const t = (texcoordAdr + model.mesh_facetexcoord[faceStart + c]) * 2;
+        uvs[(c * 2) + 0] = model.mesh_texcoord[t + 0];
+        uvs[(c * 2) + 1] = model.mesh_texcoord[t + 1];
+      }
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    if (uvs) {
+      geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    }
+  },
+
+  createMaterial(geomIndex, geometry) {
     const model = this.model;
 
     const r = model.geom_rgba[(geomIndex * 4) + 0];
@@ -579,47 +762,683 @@ const MujocoViewer = {
     const b = model.geom_rgba[(geomIndex * 4) + 2];
     const a = model.geom_rgba[(geomIndex * 4) + 3];
 
-    let color = new THREE.Color(r, g, b);
-    let opacity = a;
-
     const matId = model.geom_matid[geomIndex];
-    if (matId >= 0) {
-      color = new THREE.Color(
-        model.mat_rgba[(matId * 4) + 0],
-        model.mat_rgba[(matId * 4) + 1],
-        model.mat_rgba[(matId * 4) + 2]
-      );
-      opacity = model.mat_rgba[(matId * 4) + 3];
+    if (matId < 0) {
+      return new THREE.MeshPhysicalMaterial({
+        color: new THREE.Color(r, g, b),
+        transparent: a < 1.0,
+        opacity: a,
+        roughness: 0.5,
+        metalness: 0.1
+      });
     }
 
+    const color = new THREE.Color(
+      model.mat_rgba[(matId * 4) + 0],
+      model.mat_rgba[(matId * 4) + 1],
+      model.mat_rgba[(matId * 4) + 2]
+    );
+    const opacity = model.mat_rgba[(matId * 4) + 3];
+    const shininess = model.mat_shininess ? model.mat_shininess[matId] : 0.5;
+    const reflectance = model.mat_reflectance ? model.mat_reflectance[matId] : 0;
+    const emission = model.mat_emission ? model.mat_emission[matId] : 0;
+
     return new THREE.MeshPhysicalMaterial({
-      color: color,
+      color,
+      map: this.createMaterialTexture(matId, geometry),
       transparent: opacity < 1.0,
-      opacity: opacity,
-      roughness: 0.5,
-      metalness: 0.1
+      opacity,
+      roughness: 1.0 - shininess,
+      metalness: 0.1,
+      specularIntensity: model.mat_specular ? model.mat_specular[matId] : 0.5,
+      clearcoat: reflectance,
+      clearcoatRoughness: 1.0 - shininess,
+      emissive: color,
+      emissiveIntensity: emission
     });
   },
 
-  updateBodyTransforms() {
+  // Material's color texture with MJCF texrepeat applied. texuniform repeats
+  // per unit of geom size rather than once across the geom.
+  createMaterialTexture(matId, geometry) {
+    const model = this.model;
+    if (!model.mat_texid || !model.tex_data) return null;
+
+    const roles = model.mat_texid.length / model.nmat;
+    const texId = model.mat_texid[(matId * roles) + (roles > 1 ? TEXROLE_RGB : 0)];
+    if (texId < 0) return null;
+
+    const texture = this.getTexture(texId).clone();
+    let repeatX = model.mat_texrepeat[(matId * 2) + 0];
+    let repeatY = model.mat_texrepeat[(matId * 2) + 1];
+
+    if (model.mat_texuniform[matId]) {
+      geometry.computeBoundingBox();
+      const extent = geometry.boundingBox.getSize(new THREE.Vector3());
+      repeatX *= extent.x;
+      repeatY *= extent.z || extent.y;
+    }
+
+    texture.repeat.set(repeatX, repeatY);
+    texture.needsUpdate = true;
+    return texture;
+  },
+
+  // RGBA DataTexture for a model texture (builtin checker/gradient textures
+  // are already rasterized into tex_data by the compiler). Cube and skybox
+  // textures store their faces stacked vertically; only the first is used.
+  getTexture(texId) {
+    if (this.textures[texId]) return this.textures[texId];
+
+    const model = this.model;
+    const width = model.tex_width[texId];
+    const height = model.tex_type[texId] === 0 ? model.tex_height[texId] : width;
+    const channels = model.tex_nchannel ? model.tex_nchannel[texId] : 3;
+    const source = model.tex_data.subarray(model.tex_adr[texId]);
+    const pixels = new Uint8Array(width * height * 4);
+
+    for (let p = 0; p < width * height; p++) {
+      for (let c = 0; c < 3; c++) {
+        pixels[(p * 4) + c] = source[(p * channels) + Math.min(c, channels - 1)];
+      }
+      pixels[(p * 4) + 3] = channels === 4 ? source[(p * channels) + 3] : 255;
+    }
+
+    const texture = new THREE.DataTexture(pixels, width, height, THREE.RGBAFormat);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+
+    this.textures[texId] = texture;
+    return texture;
+  },
+
+  disposeTextures() {
+    for (const texture of Object.values(this.textures)) {
+      texture.dispose();
+    }
+    this.textures = {};
+  },
+
+  updateBodyTransforms(poses) {
+    if (!poses || !this.model) return;
+
     for (let b = 0; b < this.model.nbody; b++) {
       if (this.bodies[b]) {
-        getPosition(this.data.xpos, b, this.bodies[b].position);
-        getQuaternion(this.data.xquat, b, this.bodies[b].quaternion);
+        getPosition(poses.xpos, b, this.bodies[b].position);
+        getQuaternion(poses.xquat, b, this.bodies[b].quaternion);
         this.bodies[b].updateWorldMatrix(true, true);
       }
     }
+
+    // Contacts, tendons and scans belong to live physics, not to replayed frames
+    this.updateContactMarkers(this.overlays.contacts && !this.replaying ? this.contacts : []);
+    this.updateTendonLines(this.overlays.tendons && !this.replaying ? this.tendons : []);
+    this.updateScanClouds(this.overlays.scans && !this.replaying ? this.scans : {});
+  },
+
+  // Draw a point at each contact and an arrow along its normal, scaled by the
+  // normal force
+  updateContactMarkers(contacts = []) {
+    contacts.forEach(({ position, normal, normal_force }, i) => {
+      if (!this.contactMarkers[i]) {
+        const point = new THREE.Mesh(
+          new THREE.SphereGeometry(CONTACT_POINT_RADIUS, 8, 6),
+          new THREE.MeshBasicMaterial({ color: 0x22d3ee, depthTest: false })
+        );
+        const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, 0x22d3ee);
+        point.renderOrder = 1;
+        this.scene.add(onOverlayLayer(point), onOverlayLayer(arrow));
+        this.contactMarkers[i] = { point, arrow };
+      }
+
+      const { point, arrow } = this.contactMarkers[i];
+      const length = Math.max(Math.abs(normal_force) * CONTACT_ARROW_SCALE, FORCE_ARROW_MIN);
+
+      getPosition(position, 0, point.position);
+      arrow.position.copy(point.position);
+      arrow.setDirection(getPosition(normal, 0, new THREE.Vector3()).normalize());
+      arrow.setLength(length, Math.min(0.3 * length, 0.03), Math.min(0.15 * length, 0.015));
+      point.visible = true;
+      arrow.visible = true;
+    });
+
+    for (let i = contacts.length; i < this.contactMarkers.length; i++) {
+      this.contactMarkers[i].point.visible = false;
+      this.contactMarkers[i].arrow.visible = false;
+    }
+  },
+
+  // Draw one arrow per applied force, at the body's center of mass with
+  // length proportional to magnitude
+  updateForceArrows(forces = []) {
+    forces.forEach(({ point, force }, i) => {
+      if (!this.forceArrows[i]) {
+        this.forceArrows[i] = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0xef4444);
+        this.scene.add(onOverlayLayer(this.forceArrows[i]));
+      }
+
+      const arrow = this.forceArrows[i];
+      const direction = getPosition(force, 0, new THREE.Vector3());
+      const length = Math.max(direction.length() * FORCE_ARROW_SCALE, FORCE_ARROW_MIN);
+
+      getPosition(point, 0, arrow.position);
+      arrow.setDirection(direction.normalize());
+      arrow.setLength(length, Math.min(0.3 * length, 0.05), Math.min(0.15 * length, 0.025));
+      arrow.visible = true;
+    });
+
+    for (let i = forces.length; i < this.forceArrows.length; i++) {
+      this.forceArrows[i].visible = false;
+    }
+  },
+
+  // ============================================================================
+  // Simulated Cameras
+  // ============================================================================
+
+  // get_camera_image { camera, width, height, depth } → { camera, width,
+  // height, time, rgb, depth }. rgb is 8-bit RGB and depth little-endian
+  // float32 distance along the view axis in meters (0 where nothing was
+  // hit), both row-major from the top-left pixel and base64-encoded.
+  handleCameraCommand({ id, params = {} }) {
+    try {
+      const camera = this.resolveCamera(params.camera);
+      const width = params.width ?? CAMERA_IMAGE_SIZE[0];
+      const height = params.height ?? CAMERA_IMAGE_SIZE[1];
+
+      if (![width, height].every(n => Number.isInteger(n) && n > 0 && n <= CAMERA_IMAGE_MAX)) {
+        throw new Error(`Invalid camera image size: ${width}x${height}`);
+      }
+
+      const image = this.renderCameraImage(camera, width, height, Boolean(params.depth));
+      return {
+        id,
+        status: "ok",
+        camera: this.model.camera_names[camera],
+        width,
+        height,
+        time: this.simTime,
+        rgb: toBase64(image.rgb),
+        ...(image.depth && { depth: toBase64(new Uint8Array(image.depth.buffer)) })
+      };
+    } catch (error) {
+      console.error('[MujocoViewer] Camera image failed:', error);
+      return { id, status: "error", message: error.message };
+    }
+  },
+
+  resolveCamera(camera) {
+    const names = this.model ? this.model.camera_names : [];
+    const index = typeof camera === 'number' ? camera : names.indexOf(camera);
+
+    if (!(index >= 0 && index < names.length)) {
+      throw new Error(`Unknown camera: ${camera}`);
+    }
+    return index;
+  },
+
+  // Render from a model camera with live physics poses (even while the
+  // viewer is showing a replayed frame)
+  renderCameraImage(camera, width, height, withDepth) {
+    const target = this.cameraTarget(width, height);
+    const sensorCamera = this.placeSensorCamera(camera, width / height);
+
+    if (this.replaying) this.updateBodyTransforms(this.poses);
+
+    this.renderer.setRenderTarget(target.color);
+    this.renderer.render(this.scene, sensorCamera);
+    const rgba = new Uint8Array(width * height * 4);
+    this.renderer.readRenderTargetPixels(target.color, 0, 0, width, height, rgba);
+
+    let depth = null;
+    if (withDepth) {
+      depth = this.renderDepth(target.depth, sensorCamera, width, height);
+    }
+
+    this.renderer.setRenderTarget(null);
+    if (this.replaying) this.updateBodyTransforms(this.replayPoses);
+
+    // WebGL reads rows bottom-up; images are top-down
+    const rgb = new Uint8Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+      const src = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        rgb.set(rgba.subarray((src + x) * 4, ((src + x) * 4) + 3), ((y * width) + x) * 3);
+      }
+    }
+
+    return { rgb, depth };
+  },
+
+  // Linear view depth written to a float target by an override material
+  renderDepth(target, sensorCamera, width, height) {
+    const background = this.scene.background;
+    const fog = this.scene.fog;
+    this.scene.background = null;
+    this.scene.fog = null;
+    this.scene.overrideMaterial = this.depthMaterial ||= new THREE.ShaderMaterial({
+      vertexShader: `
+        varying float vDepth;
+        void main() {
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          vDepth = -mvPosition.z;
+          gl_Position = projectionMatrix * mvPosition;
+        }`,
+      fragmentShader: `
+        varying float vDepth;
+        void main() {
+          gl_FragColor = vec4(vDepth, 0.0, 0.0, 1.0);
+        }`
+    });
+
+    const clearColor = this.renderer.getClearColor(new THREE.Color());
+    const clearAlpha = this.renderer.getClearAlpha();
+    this.renderer.setClearColor(0x000000, 0);
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.scene, sensorCamera);
+    this.renderer.setClearColor(clearColor, clearAlpha);
+
+    this.scene.overrideMaterial = null;
+    this.scene.background = background;
+    this.scene.fog = fog;
+
+    const rgba = new Float32Array(width * height * 4);
+    this.renderer.readRenderTargetPixels(target, 0, 0, width, height, rgba);
+
+    const depth = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const src = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        depth[(y * width) + x] = rgba[(src + x) * 4];
+      }
+    }
+    return depth;
+  },
+
+  placeSensorCamera(camera, aspect) {
+    this.sensorCamera ||= new THREE.PerspectiveCamera(45, aspect, CAMERA_NEAR, CAMERA_FAR);
+    return this.applyCameraPose(camera, this.sensorCamera, aspect);
+  },
+
+  // MuJoCo cameras look down their local -z with +y up, like Three.js, so
+  // cam_xmat only needs the Z-up → Y-up swizzle applied to each axis
+  applyCameraPose(camera, target, aspect) {
+    const xmat = this.cameraPoses.cam_xmat.subarray(camera * 9, (camera * 9) + 9);
+    const axes = [0, 1, 2].map(c => new THREE.Vector3(xmat[c], xmat[6 + c], -xmat[3 + c]));
+
+    getPosition(this.cameraPoses.cam_xpos, camera, target.position);
+    target.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(...axes));
+    target.fov = this.model.cam_fovy[camera];
+    target.aspect = aspect;
+    target.updateProjectionMatrix();
+    target.updateMatrixWorld();
+    return target;
+  },
+
+  cameraTarget(width, height) {
+    const key = `${width}x${height}`;
+
+    if (!this.cameraTargets[key]) {
+      const color = new THREE.WebGLRenderTarget(width, height);
+      color.texture.colorSpace = THREE.SRGBColorSpace;
+      const depth = new THREE.WebGLRenderTarget(width, height, { type: THREE.FloatType });
+      this.cameraTargets[key] = { color, depth };
+    }
+    return this.cameraTargets[key];
+  },
+
+  disposeCameraTargets() {
+    for (const { color, depth } of Object.values(this.cameraTargets)) {
+      color.dispose();
+      depth.dispose();
+    }
+    this.cameraTargets = {};
+    if (this.depthMaterial) {
+      this.depthMaterial.dispose();
+      this.depthMaterial = null;
+    }
+  },
+
+  // ============================================================================
+  // Debug Overlays
+  // ============================================================================
+
+  setVisibility(groups, overlays) {
+    this.geomGroups = groups;
+    this.overlays = Object.fromEntries(OVERLAYS.map(name => [name, overlays.includes(name)]));
+
+    if (this.mujocoRoot) {
+      this.mujocoRoot.traverse((object) => {
+        if (object.geomGroup !== undefined) {
+          object.visible = groups.includes(object.geomGroup);
+        }
+      });
+    }
+
+    for (const [name, objects] of Object.entries(this.overlayObjects)) {
+      objects.forEach(object => { object.visible = this.overlays[name]; });
+    }
+
+    this.updateBodyTransforms(this.replaying ? null : this.poses);
+    if (!this.overlays.contacts) this.updateContactMarkers([]);
+    if (!this.overlays.tendons) this.updateTendonLines([]);
+    if (!this.overlays.scans) this.updateScanClouds({});
+  },
+
+  // Static overlays live in their body's group, so they follow its pose
+  buildOverlays() {
+    const model = this.model;
+    const add = (name, bodyId, object) => {
+      object.visible = Boolean(this.overlays[name]);
+      this.bodies[bodyId].add(onOverlayLayer(object));
+      (this.overlayObjects[name] ||= []).push(object);
+    };
+
+    for (let b = 0; b < model.nbody; b++) {
+      add('frames', b, new THREE.AxesHelper(BODY_FRAME_SIZE));
+
+      if (b === 0 || !model.body_mass || model.body_mass[b] <= 0) continue;
+      add('com', b, this.createComMarker(b));
+      add('inertia', b, this.createInertiaBox(b));
+    }
+
+    const actuated = new Set();
+    for (let i = 0; i < model.nu; i++) {
+      if (model.actuator_trntype[i] === TRN_JOINT) {
+        actuated.add(model.actuator_trnid[i * 2]);
+      }
+    }
+
+    for (let j = 0; j < model.njnt; j++) {
+      const marker = this.createJointMarker(j, actuated.has(j));
+      if (marker) add('joints', model.jnt_bodyid[j], marker);
+    }
+  },
+
+  createComMarker(bodyId) {
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(COM_RADIUS, 12, 8),
+      new THREE.MeshBasicMaterial({ color: 0xf472b6, depthTest: false })
+    );
+    marker.renderOrder = 1;
+    getPosition(this.model.body_ipos, bodyId, marker.position);
+    return marker;
+  },
+
+  // Box with the body's mass and principal inertia (uniform density), in the
+  // inertial frame - the same equivalent box MuJoCo draws
+  createInertiaBox(bodyId) {
+    const model = this.model;
+    const mass = model.body_mass[bodyId];
+    const [ix, iy, iz] = model.body_inertia.subarray(bodyId * 3, (bodyId * 3) + 3);
+    const edge = (a, b, c) => Math.sqrt(Math.max(6 * (a + b - c) / mass, 0));
+
+    const box = new THREE.Mesh(
+      new THREE.BoxGeometry(edge(iy, iz, ix), edge(ix, iy, iz), edge(ix, iz, iy)),
+      new THREE.MeshBasicMaterial({ color: 0xa3e635, transparent: true, opacity: 0.25, depthWrite: false })
+    );
+    getPosition(model.body_ipos, bodyId, box.position);
+    getQuaternion(model.body_iquat, bodyId, box.quaternion);
+    return box;
+  },
+
+  // Arrow along hinge/slide axes (orange when driven by an actuator), dot for
+  // ball joints; free joints have no axis to draw
+  createJointMarker(jointId, actuated) {
+    const model = this.model;
+    const type = model.jnt_type[jointId];
+    const color = actuated ? 0xf97316 : 0x94a3b8;
+    const origin = getPosition(model.jnt_pos, jointId, new THREE.Vector3());
+
+    if (type === JOINT_HINGE || type === JOINT_SLIDE) {
+      const axis = getPosition(model.jnt_axis, jointId, new THREE.Vector3()).normalize();
+      const arrow = new THREE.ArrowHelper(axis, origin, JOINT_AXIS_LENGTH, color);
+      if (type === JOINT_SLIDE) {
+        arrow.setLength(JOINT_AXIS_LENGTH, JOINT_AXIS_LENGTH * 0.2, JOINT_AXIS_LENGTH * 0.2);
+      }
+      return arrow;
+    }
+
+    if (type === JOINT_BALL) {
+      const dot = new THREE.Mesh(
+        new THREE.SphereGeometry(COM_RADIUS * 1.5, 12, 8),
+        new THREE.MeshBasicMaterial({ color, wireframe: true })
+      );
+      dot.position.copy(origin);
+      return dot;
+    }
+
+    return null;
+  },
+
+  // Tendon paths as line segments (orange when driven by an actuator)
+  updateTendonLines(tendons = []) {
+    tendons.forEach(({ actuated, segments }, i) => {
+      if (!this.tendonLines[i]) {
+        this.tendonLines[i] = new THREE.LineSegments(
+          new THREE.BufferGeometry(),
+          new THREE.LineBasicMaterial({ color: 0x94a3b8 })
+        );
+        this.scene.add(onOverlayLayer(this.tendonLines[i]));
+      }
+
+      // Reuse the position buffer while the number of wrap points is unchanged
+      const line = this.tendonLines[i];
+      let attribute = line.geometry.getAttribute('position');
+      if (!attribute || attribute.array.length !== segments.length) {
+        line.geometry.dispose();
+        line.geometry = new THREE.BufferGeometry();
+        attribute = new THREE.BufferAttribute(new Float32Array(segments.length), 3);
+        line.geometry.setAttribute('position', attribute);
+      }
+
+      for (let p = 0; p < segments.length; p += 3) {
+        attribute.array[p + 0] = segments[p + 0];
+        attribute.array[p + 1] = segments[p + 2];
+        attribute.array[p + 2] = -segments[p + 1];
+      }
+      attribute.needsUpdate = true;
+      line.geometry.computeBoundingSphere();
+      line.material.color.set(actuated ? 0xf97316 : 0x94a3b8);
+      line.visible = true;
+    });
+
+    for (let i = tendons.length; i < this.tendonLines.length; i++) {
+      this.tendonLines[i].visible = false;
+    }
+  },
+
+  // One point cloud per scanning sensor, from the hit points of its latest
+  // raycast_scan (world frame, flat xyz)
+  updateScanClouds(scans = {}) {
+    for (const [sensor, points] of Object.entries(scans)) {
+      if (!this.scanClouds[sensor]) {
+        this.scanClouds[sensor] = new THREE.Points(
+          new THREE.BufferGeometry(),
+          new THREE.PointsMaterial({ color: 0xa3e635, size: SCAN_POINT_SIZE, sizeAttenuation: false })
+        );
+        this.scene.add(onOverlayLayer(this.scanClouds[sensor]));
+      }
+
+      // Reuse the position buffer while the number of hits is unchanged
+      const cloud = this.scanClouds[sensor];
+      let attribute = cloud.geometry.getAttribute('position');
+      if (!attribute || attribute.array.length !== points.length) {
+        cloud.geometry.dispose();
+        cloud.geometry = new THREE.BufferGeometry();
+        attribute = new THREE.BufferAttribute(new Float32Array(points.length), 3);
+        cloud.geometry.setAttribute('position', attribute);
+      }
+
+      for (let p = 0; p < points.length; p += 3) {
+        attribute.array[p + 0] = points[p + 0];
+        attribute.array[p + 1] = points[p + 2];
+        attribute.array[p + 2] = -points[p + 1];
+      }
+      attribute.needsUpdate = true;
+      cloud.geometry.computeBoundingSphere();
+      cloud.visible = true;
+    }
+
+    for (const [sensor, cloud] of Object.entries(this.scanClouds)) {
+      if (!(sensor in scans)) {
+        cloud.visible = false;
+      }
+    }
+  },
+
+  // ============================================================================
+  // Viewer Camera
+  // ============================================================================
+
+  // Point the orbit camera at the model's bounding box. Planes and heightfields
+  // are left out, since they would frame the whole floor.
+  frameModel() {
+    const box = new THREE.Box3();
+    this.mujocoRoot.updateWorldMatrix(true, true);
+    this.mujocoRoot.traverse((object) => {
+      if (object.geomID !== undefined && object.visible && !UNFRAMED_GEOMS.includes(object.geomType)) {
+        box.expandByObject(object);
+      }
+    });
+    if (box.isEmpty()) return;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+    this.frameDistance = Math.max(sphere.radius / Math.sin(halfFov), MIN_FRAME_DISTANCE) * FRAME_MARGIN;
+
+    this.controls.target.copy(sphere.center);
+    this.camera.position.copy(sphere.center)
+      .addScaledVector(DEFAULT_VIEW_DIRECTION.clone().normalize(), this.frameDistance);
+    this.camera.lookAt(this.controls.target);
+    this.controls.update();
+  },
+
+  // Keep the orbit target on the followed body, moving the camera with it
+  updateFollow() {
+    const body = this.bodies[this.followBody];
+    if (!body) return;
+
+    const position = body.getWorldPosition(new THREE.Vector3());
+    const delta = position.sub(this.controls.target);
+    this.controls.target.add(delta);
+    this.camera.position.add(delta);
+  },
+
+  // Look through an MJCF camera (null returns to the orbit camera where it
+  // was left)
+  setView(camera) {
+    if (camera !== null && this.viewCamera === null) {
+      this.orbitPose = { position: this.camera.position.clone(), quaternion: this.camera.quaternion.clone() };
+    }
+
+    this.viewCamera = camera;
+    this.controls.enabled = camera === null;
+
+    if (camera === null && this.orbitPose) {
+      this.camera.position.copy(this.orbitPose.position);
+      this.camera.quaternion.copy(this.orbitPose.quaternion);
+      this.camera.fov = VIEWER_FOV;
+      this.camera.aspect = this.el.clientWidth / this.el.clientHeight;
+      this.camera.updateProjectionMatrix();
+      this.orbitPose = null;
+    }
   },
 
   startRenderLoop() {
     const animate = () => {
       this.animationFrameId = requestAnimationFrame(animate);
-      this.controls.update();
+      if (this.viewCamera !== null && this.cameraPoses) {
+        this.applyCameraPose(this.viewCamera, this.camera, this.camera.aspect);
+      } else {
+        if (this.followBody !== null) this.updateFollow();
+        this.controls.update();
+      }
+      this.updatePerturbationLine();
+      this.freeRunFrame(performance.now());
       this.renderer.render(this.scene, this.camera);
     };
     animate();
   },
 
+  // ============================================================================
+  // Free Run
+  // ============================================================================
+
+  // Advance physics from the render loop while no Simulation drives it, keeping
+  // sim time at realTimeFactor × wall time ('max' steps for
+  // FREE_RUN_BUDGET_MS each frame). A worker run already in flight, or a
+  // stalled tab, just skips frames; sim time resyncs if it falls behind.
+  freeRunFrame(now) {
+    const elapsed = Math.min(now - this.lastFrameAt, MAX_FRAME_MS) / 1000;
+    this.lastFrameAt = now;
+
+    let mode = 'free_run';
+    if (this.driverStatus === 'elixir') {
+      mode = 'elixir';
+    } else if (this.driverStatus === 'connecting') {
+      mode = 'connecting';
+    } else if (this.paused) {
+      mode = 'paused';
+    }
+    this.setRunMode(mode, now);
+
+    if (mode !== 'free_run' || this.runPending || !this.modelInfo) return;
+
+    if (this.realTimeFactor === 'max') {
+      this.runPhysics({ budget: FREE_RUN_BUDGET_MS });
+      return;
+    }
+
+    if (this.runTarget === null || Math.abs(this.runTarget - this.simTime) > MAX_RUN_LAG) {
+      this.runTarget = this.simTime;
+    }
+    this.runTarget += elapsed * this.realTimeFactor;
+    this.runPhysics({ until: this.runTarget, budget: FREE_RUN_BUDGET_MS });
+  },
+
+  async runPhysics(message) {
+    this.runPending = true;
+    try {
+      this.applyWorkerState(await this.requestWorker({ type: 'run', ...message }));
+    } catch (error) {
+      console.error('[MujocoViewer] Free run failed:', error);
+    } finally {
+      this.runPending = false;
+    }
+  },
+
+  // Tell the LiveView who is stepping physics when that changes and, while
+  // free-running, the sim time when it has moved (at most every
+  // RUN_STATUS_INTERVAL_MS)
+  setRunMode(mode, now) {
+    const changed = mode !== this.runMode;
+    if (changed) {
+      console.log('[MujocoViewer] Physics run mode:', mode);
+      this.runMode = mode;
+      this.runTarget = null;
+    }
+
+    const ticked = mode === 'free_run' &&
+      this.simTime !== this.lastRunStatusTime &&
+      now - this.lastRunStatusAt >= RUN_STATUS_INTERVAL_MS;
+
+    if (changed || ticked) {
+      this.pushRunStatus(now);
+    }
+  },
+
+  pushRunStatus(now = performance.now()) {
+    this.lastRunStatusAt = now;
+    this.lastRunStatusTime = this.simTime;
+    this.pushEvent('mujoco_run_status', { mode: this.runMode, time: this.simTime });
+  },
+
   onResize() {
     const width = this.el.clientWidth;
     const height = this.el.clientHeight;
@@ -636,10 +1455,7 @@ const MujocoViewer = {
       this.animationFrameId = null;
     }
 
-    if (this.physicsChannel) {
-      this.physicsChannel.leave();
-      this.physicsChannel = null;
-    }
+    this.leavePhysicsChannels();
     if (this.physicsSocket) {
       this.physicsSocket.disconnect();
       this.physicsSocket = null;
@@ -662,28 +1478,33 @@ const MujocoViewer = {
           if (Array.isArray(object.material)) {
             object.material.forEach(m => m.dispose());
           } else {
+            if (object.material.map) object.material.map.dispose();
             object.material.dispose();
           }
         }
       });
     }
 
-    // CRITICAL: Free MuJoCo WASM memory
-    if (this.data) {
-      console.log('[MujocoViewer] Freeing MuJoCo data...');
-      this.data.delete();
-      this.data = null;
+    // CRITICAL: Free MuJoCo WASM memory (terminating the worker releases it)
+    if (this.worker) {
+      console.log('[MujocoViewer] Terminating physics worker...');
+      this.worker.terminate();
+      this.worker = null;
     }
-    if (this.model) {
-      console.log('[MujocoViewer] Freeing MuJoCo model...');
-      // Note: model.delete() may not exist in all MuJoCo WASM versions
-      // but we null the reference to allow garbage collection
-      this.model = null;
+    for (const request of Object.values(this.workerRequests)) {
+      request.reject(new Error('Physics worker terminated'));
     }
+    this.workerRequests = {};
+    this.model = null;
+    this.modelInfo = null;
+    this.poses = null;
+    this.cameraPoses = null;
+    this.disposeCameraTargets();
 
     // Clear body/mesh dictionaries
     this.bodies = {};
     this.meshes = {};
+    this.disposeTextures();
     this.mujocoRoot = null;
 
     if (this.renderer) {
@@ -696,8 +1517,11 @@ const MujocoViewer = {
       this.resizeHandler = null;
     }
 
-    if (window.mjData === this.data) delete window.mjData;
-    if (window.mjModel === this.model) delete window.mjModel;
+    if (this.pointerUpHandler) {
+      window.removeEventListener('pointerup', this.pointerUpHandler);
+      this.pointerUpHandler = null;
+    }
+    this.perturb = null;
 
     console.log('[MujocoViewer] Cleanup complete');
   },
@@ -706,11 +1530,13 @@ const MujocoViewer = {
   async reloadModel(newRobot) {
     console.log('[MujocoViewer] Reloading model:', newRobot);
 
-    // Leave old physics channel
-    if (this.physicsChannel) {
-      this.physicsChannel.leave();
-      this.physicsChannel = null;
-    }
+    // Release any grabbed body (it belongs to the old scene)
+    this.endPerturbation();
+
+    // Leave old physics channels (and stop free-running until the new model
+    // is in)
+    this.leavePhysicsChannels();
+    this.modelInfo = null;
 
     // Remove old MuJoCo scene from Three.js
     if (this.mujocoRoot && this.scene) {
@@ -721,6 +1547,7 @@ const MujocoViewer = {
           if (Array.isArray(object.material)) {
             object.material.forEach(m => m.dispose());
           } else {
+            if (object.material.map) object.material.map.dispose();
             object.material.dispose();
           }
         }
@@ -729,89 +1556,148 @@ const MujocoViewer = {
       this.mujocoRoot = null;
     }
 
-    // Free MuJoCo WASM memory
-    if (this.data) {
-      this.data.delete();
-      this.data = null;
-    }
-    this.model = null;
-
     // Clear dictionaries
     this.bodies = {};
     this.meshes = {};
+    this.disposeTextures();
+    this.overlayObjects = {};
+    this.contacts = [];
+    this.tendons = [];
+    this.scans = {};
+    this.updateForceArrows([]);
+    this.updateContactMarkers([]);
+    this.updateTendonLines([]);
+    this.updateScanClouds({});
+
+    // Set new robot (recordings belong to the old model)
+    this.robot = newRobot;
+    this.replaying = false;
+    this.replayPoses = null;
 
-    // Clean up virtual filesystem - remove old model files
-    try {
-      // Remove old scene.xml
-      try {
-        this.mujoco.FS.unlink('/working/scene.xml');
-      } catch (e) { /* file may not exist */ }
+    // Download and load new model (the worker frees the old one)
+    await this.loadModel(newRobot);
 
-      // Remove old assets
-      try {
-        const assets = this.mujoco.FS.readdir('/working/assets');
-        for (const asset of assets) {
-          if (asset !== '.' && asset !== '..') {
-            this.mujoco.FS.unlink(`/working/assets/${asset}`);
-          }
-        }
-      } catch (e) { /* directory may not exist */ }
-    } catch (e) {
-      console.warn('[MujocoViewer] FS cleanup error:', e);
-    }
+    // Rebuild scene (views and followed bodies belong to the old model)
+    this.followBody = null;
+    this.setView(null);
+    await this.buildSceneFromMuJoCo();
+    this.frameModel();
 
-    // Set new robot
-    this.robot = newRobot;
+    // Reconnect physics channels for the new robot (or scene robots)
+    this.joinPhysicsChannels();
+
+    // Notify LiveView
+    this.pushEvent('mujoco_status', { status: 'ready', ...this.modelInfo });
 
-    // Download and load new model
-    await this.downloadMJCF();
+    console.log('[MujocoViewer] Model reload complete');
+  },
 
-    this.model = this.mujoco.MjModel.loadFromXML('/working/scene.xml');
-    if (!this.model) {
-      throw new Error('Failed to load MuJoCo model');
+  // ============================================================================
+  // Mouse Perturbation
+  // ============================================================================
+
+  // Ctrl/⌘ + drag grabs a body and pulls it towards the cursor with a spring
+  // (applied through xfrc_applied in the physics worker)
+  setupPerturbation() {
+    const canvas = this.renderer.domElement;
+    this.raycaster = new THREE.Raycaster();
+
+    // Capture phase, so a grab disables OrbitControls before it starts panning
+    canvas.addEventListener('pointerdown', (event) => this.startPerturbation(event), true);
+    canvas.addEventListener('pointermove', (event) => this.movePerturbation(event));
+    this.pointerUpHandler = () => this.endPerturbation();
+    window.addEventListener('pointerup', this.pointerUpHandler);
+  },
+
+  pointerRay(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      (((event.clientX - rect.left) / rect.width) * 2) - 1,
+      -(((event.clientY - rect.top) / rect.height) * 2) + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    return this.raycaster.ray;
+  },
+
+  // Nearest ancestor body group; the world body (0) can't be grabbed
+  findBodyGroup(object) {
+    while (object && object.bodyID === undefined) {
+      object = object.parent;
     }
+    return object && object.bodyID > 0 ? object : null;
+  },
+
+  startPerturbation(event) {
+    if (!(event.ctrlKey || event.metaKey) || !this.mujocoRoot || this.replaying) return;
+
+    this.pointerRay(event);
+    const hit = this.raycaster.intersectObject(this.mujocoRoot, true)
+      .find(({ object }) => object.geomID !== undefined && object.visible && this.findBodyGroup(object));
+    if (!hit) return;
 
-    this.data = new this.mujoco.MjData(this.model);
-    if (!this.data) {
-      throw new Error('Failed to create MuJoCo data');
+    const bodyGroup = this.findBodyGroup(hit.object);
+    const normal = this.camera.getWorldDirection(new THREE.Vector3());
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([hit.point, hit.point]),
+      new THREE.LineBasicMaterial({ color: 0xfacc15, depthTest: false })
+    );
+    line.renderOrder = 1;
+    this.scene.add(onOverlayLayer(line));
+
+    this.perturb = {
+      bodyGroup,
+      localPoint: bodyGroup.worldToLocal(hit.point.clone()),
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, hit.point),
+      cursor: hit.point.clone(),
+      line
+    };
+
+    this.controls.enabled = false;
+    this.sendPerturbation();
+  },
+
+  movePerturbation(event) {
+    if (!this.perturb) return;
+
+    if (this.pointerRay(event).intersectPlane(this.perturb.plane, this.perturb.cursor)) {
+      this.sendPerturbation();
     }
+  },
 
-    // Rebuild scene
-    await this.buildSceneFromMuJoCo();
+  endPerturbation() {
+    if (!this.perturb) return;
 
-    // Reconnect physics channel with new robot
-    this.physicsChannel = this.physicsSocket.channel(`mujoco:physics:${this.robot}`, {});
-    this.physicsChannel.on("physics:command", (payload) => {
-      this.handlePhysicsCommand(payload);
-    });
+    this.scene.remove(this.perturb.line);
+    this.perturb.line.geometry.dispose();
+    this.perturb.line.material.dispose();
+    this.perturb = null;
+    this.controls.enabled = this.viewCamera === null;
 
-    this.physicsChannel.join()
-      .receive("ok", () => {
-        console.log('[MujocoViewer] Rejoined physics channel for:', this.robot);
-        this.physicsChannel.push("physics:ready", {
-          nq: this.model.nq,
-          nv: this.model.nv,
-          nu: this.model.nu
-        });
-      });
+    this.requestWorker({ type: 'perturb', perturbation: null })
+      .catch(error => console.error('[MujocoViewer] Perturbation failed:', error));
+  },
 
-    // Update debug globals
-    window.mjModel = this.model;
-    window.mjData = this.data;
+  sendPerturbation() {
+    const perturbation = {
+      body: this.perturb.bodyGroup.bodyID,
+      local: toMujoco(this.perturb.localPoint),
+      target: toMujoco(this.perturb.cursor)
+    };
 
-    // Notify LiveView
-    this.pushEvent('mujoco_status', {
-      status: 'ready',
-      nbody: this.model.nbody,
-      njnt: this.model.njnt,
-      nq: this.model.nq,
-      nv: this.model.nv,
-      nu: this.model.nu,
-      joint_names: this.getJointNames(),
-      joint_ranges: this.getJointRanges()
-    });
+    this.requestWorker({ type: 'perturb', perturbation })
+      .catch(error => console.error('[MujocoViewer] Perturbation failed:', error));
+  },
 
-    console.log('[MujocoViewer] Model reload complete');
+  // Keep the grab line attached to the body as physics moves it
+  updatePerturbationLine() {
+    if (!this.perturb) return;
+
+    const { bodyGroup, localPoint, cursor, line } = this.perturb;
+    const grabPoint = bodyGroup.localToWorld(localPoint.clone());
+    const positions = line.geometry.attributes.position;
+    positions.setXYZ(0, grabPoint.x, grabPoint.y, grabPoint.z);
+    positions.setXYZ(1, cursor.x, cursor.y, cursor.z);
+    positions.needsUpdate = true;
   },
 
   // ============================================================================
@@ -820,15 +1706,31 @@ const MujocoViewer = {
 
   setupCameraHandler() {
     // Camera preset - visualization only, safe for LiveView push_event
+    // Preset positions are directions from the orbit target, scaled to the
+    // distance the model was framed at
     this.handleEvent('mujoco_camera', ({ position }) => {
       console.log('[MujocoViewer] Camera:', position);
       if (position && position.length === 3) {
-        this.camera.position.set(position[0], position[1], position[2]);
+        this.setView(null);
+        const direction = new THREE.Vector3(position[0], position[1], position[2]).normalize();
+        this.camera.position.copy(this.controls.target).addScaledVector(direction, this.frameDistance);
         this.camera.lookAt(this.controls.target);
         this.controls.update();
       }
     });
 
+    // Follow a body by name (null stops following)
+    this.handleEvent('mujoco_follow', ({ body }) => {
+      const index = this.model ? this.model.body_names.indexOf(body) : -1;
+      this.followBody = index > 0 ? index : null;
+    });
+
+    // Look through an MJCF camera by name (null returns to the orbit camera)
+    this.handleEvent('mujoco_view', ({ camera }) => {
+      const index = this.model ? this.model.camera_names.indexOf(camera) : -1;
+      this.setView(index >= 0 ? index : null);
+    });
+
     // Robot switch handler - reload model when robot changes
     this.handleEvent('mujoco_load_robot', async ({ robot }) => {
       console.log('[MujocoViewer] Load robot event:', robot);
@@ -848,60 +1750,70 @@ const MujocoViewer = {
     console.log('[MujocoViewer] Camera and robot handlers registered');
   },
 
-  // Note: Physics stepping (pause, step, reset, set_ctrl) is now controlled
-  // by Elixir Simulation GenServer via Channel commands, not LiveView events.
+  setupReplayHandler() {
+    // Scrub to a recorded frame - physics keeps running, only the view changes
+    this.handleEvent('mujoco_replay', async ({ frame }) => {
+      try {
+        const { poses } = await this.requestWorker({ type: 'replay', frame });
+        this.replaying = true;
+        this.replayPoses = poses;
+        this.updateBodyTransforms(poses);
+        this.updateForceArrows([]);
+      } catch (error) {
+        console.error('[MujocoViewer] Replay failed:', error);
+      }
+    });
+
+    // Back to live physics
+    this.handleEvent('mujoco_replay_stop', () => {
+      this.replaying = false;
+      this.replayPoses = null;
+      this.updateBodyTransforms(this.poses);
+    });
+  },
 
-  // ============================================================================
-  // Joint Info Helpers
-  // ============================================================================
+  setupOverlayHandler() {
+    // Geom group and debug overlay visibility - visualization only, like
+    // mujoco_camera. The worker only collects contact/tendon/scan data while shown.
+    this.handleEvent('mujoco_visibility', async ({ groups = DEFAULT_GEOM_GROUPS, overlays = [] }) => {
+      this.setVisibility(groups, overlays);
 
-  getJointNames() {
-    const names = [];
-    const textDecoder = new TextDecoder('utf-8');
-    const namesArray = new Uint8Array(this.model.names);
-
-    for (let i = 0; i < this.model.nu; i++) {
-      const jointId = this.model.actuator_trnid[i * 2];
-      if (jointId >= 0 && jointId < this.model.njnt) {
-        const nameStart = this.model.name_jntadr[jointId];
-        let nameEnd = nameStart;
-        while (nameEnd < namesArray.length && namesArray[nameEnd] !== 0) {
-          nameEnd++;
-        }
-        names.push(textDecoder.decode(namesArray.subarray(nameStart, nameEnd)));
-      } else {
-        names.push(`actuator_${i}`);
+      try {
+        await this.requestWorker({
+          type: 'overlays',
+          contacts: this.overlays.contacts,
+          tendons: this.overlays.tendons,
+          scans: this.overlays.scans
+        });
+      } catch (error) {
+        console.error('[MujocoViewer] Overlay update failed:', error);
       }
-    }
-
-    return names;
+    });
   },
 
-  getJointRanges() {
-    const ranges = [];
+  setupRunHandler() {
+    // Free-run controls: pause/resume and real-time factor (a number, or
+    // "max" for as fast as possible). Only used while no Simulation drives.
+    this.handleEvent('mujoco_run', ({ paused, rtf }) => {
+      if (paused !== undefined) {
+        this.paused = Boolean(paused);
+      }
 
-    for (let i = 0; i < this.model.nu; i++) {
-      const jointId = this.model.actuator_trnid[i * 2];
-      if (jointId >= 0 && jointId < this.model.njnt) {
-        // Check if joint has limits
-        const limited = this.model.jnt_limited[jointId];
-        if (limited) {
-          const rangeIdx = jointId * 2;
-          ranges.push([
-            this.model.jnt_range[rangeIdx],
-            this.model.jnt_range[rangeIdx + 1]
-          ]);
-        } else {
-          // No limits - use default range
-          ranges.push([-3.14159, 3.14159]);
-        }
-      } else {
-        ranges.push([-1, 1]);
+      const realTimeFactor = parseRealTimeFactor(rtf);
+      if (realTimeFactor) {
+        this.realTimeFactor = realTimeFactor;
+        this.runTarget = null;
       }
-    }
+    });
 
-    return ranges;
-  }
+    // Single step while paused: dt seconds, or one physics timestep
+    this.handleEvent('mujoco_step', async ({ dt }) => {
+      if (this.runMode !== 'paused' || this.runPending) return;
+
+      await this.runPhysics(dt > 0 ? { until: this.simTime + dt } : { steps: 1 });
+      this.pushRunStatus();
+    });
+  },
 };
 
 export default MujocoViewer;
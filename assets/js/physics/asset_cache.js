@@ -0,0 +1,125 @@
+/**
+ * Asset Cache
+ *
+ * Persistent browser cache for MJCF mesh and texture files, so large meshes
+ * aren't refetched on every mount or model reload. Entries live in IndexedDB
+ * keyed by the content hash from the /assets listing: an edited file gets a
+ * new hash, so a stale copy is never read. Entries are kept across models
+ * (switching robots back and forth refetches nothing); once they total more
+ * than MAX_CACHE_BYTES the least recently used are pruned after a load.
+ *
+ * Without IndexedDB (Node.js, some private browsing modes) every lookup is a
+ * miss and nothing is stored, so assets are simply downloaded. Cache errors
+ * are logged and treated the same way; they never fail a model load.
+ */
+
+const DB_NAME = 'bb_mujoco_assets';
+const DB_VERSION = 2;
+
+// File bytes, and each entry's { size, usedAt } (read without loading bytes)
+const ASSETS = 'assets';
+const ENTRIES = 'entries';
+
+const MAX_CACHE_BYTES = 256 * 1024 * 1024;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+const AssetCache = {
+  // Promise of the open database (null once opening has failed)
+  db: undefined,
+
+  open() {
+    if (this.db === undefined) {
+      if (typeof indexedDB === 'undefined') {
+        this.db = Promise.resolve(null);
+      } else {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = ({ oldVersion }) => {
+          const db = request.result;
+          // Version 1 kept bytes only, with no entry to age them by
+          if (oldVersion >= 1) db.deleteObjectStore(ASSETS);
+          db.createObjectStore(ASSETS);
+          db.createObjectStore(ENTRIES);
+        };
+
+        this.db = promisify(request).catch((error) => {
+          console.warn('[AssetCache] IndexedDB unavailable:', error);
+          return null;
+        });
+      }
+    }
+    return this.db;
+  },
+
+  // Run fn with both object stores in one transaction
+  async transaction(mode, fn) {
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      const tx = db.transaction([ASSETS, ENTRIES], mode);
+      return await fn(tx.objectStore(ASSETS), tx.objectStore(ENTRIES));
+    } catch (error) {
+      console.warn('[AssetCache] Cache access failed:', error);
+      return null;
+    }
+  },
+
+  // The cached bytes for a content hash (marking them used), or null
+  async get(hash) {
+    const data = await this.transaction('readwrite', async (assets, entries) => {
+      const data = await promisify(assets.get(hash));
+      if (data) {
+        await promisify(entries.put({ size: data.byteLength, usedAt: Date.now() }, hash));
+      }
+      return data;
+    });
+    return data ? new Uint8Array(data) : null;
+  },
+
+  async put(hash, data) {
+    await this.transaction('readwrite', async (assets, entries) => {
+      await promisify(assets.put(data, hash));
+      await promisify(entries.put({ size: data.byteLength, usedAt: Date.now() }, hash));
+    });
+  },
+
+  // Drop the least recently used entries until the cache fits in
+  // MAX_CACHE_BYTES, keeping those in `hashes` (the model just loaded)
+  async prune(hashes) {
+    const keep = new Set(hashes);
+
+    await this.transaction('readwrite', async (assets, entries) => {
+      const keys = await promisify(entries.getAllKeys());
+      const values = await promisify(entries.getAll());
+
+      let total = values.reduce((sum, { size }) => sum + size, 0);
+      const oldest = keys
+        .map((key, i) => ({ key, ...values[i] }))
+        .filter(({ key }) => !keep.has(key))
+        .sort((a, b) => a.usedAt - b.usedAt);
+
+      const pruned = [];
+      for (const { key, size } of oldest) {
+        if (total <= MAX_CACHE_BYTES) break;
+        pruned.push(key);
+        total -= size;
+      }
+
+      await Promise.all(pruned.flatMap(key => [
+        promisify(assets.delete(key)),
+        promisify(entries.delete(key))
+      ]));
+      if (pruned.length > 0) {
+        console.log(`[AssetCache] Pruned ${pruned.length} least recently used asset(s)`);
+      }
+    });
+  }
+};
+
+export default AssetCache;
@@ -0,0 +1,79 @@
+/**
+ * Binary Physics Protocol
+ *
+ * Compact framing for the high-rate stepping commands, mirrored by
+ * BB.Mujoco.Binary on the Elixir side. Negotiated at physics:ready; every
+ * other command (and any error response) stays JSON.
+ *
+ * All values are little-endian. Both frames share an 8-byte header:
+ *
+ *   u8 cmd | u8 reserved | u16 count | u32 id
+ *
+ * Command (Elixir → Browser):
+ *   header (count = number of targets) | f64 dt | f64 × count targets
+ *
+ * A command frame shorter than its header, dt and count targets is rejected
+ * as truncated.
+ *
+ * Response (Browser → Elixir):
+ *   header (count = nu) | f64 time | f64 × nu joints | f64 × nu velocities
+ *   | f64 × nsensordata sensordata (to the end of the frame)
+ */
+
+export const BINARY_COMMANDS = {
+  1: 'step',
+  2: 'step_with_targets'
+};
+
+const COMMAND_CODES = { step: 1, step_with_targets: 2 };
+
+const HEADER_BYTES = 8;
+
+export function decodeCommand(buffer) {
+  if (buffer.byteLength < HEADER_BYTES + 8) {
+    throw new Error(`Truncated binary command: ${buffer.byteLength} bytes`);
+  }
+
+  const view = new DataView(buffer);
+  const code = view.getUint8(0);
+  const count = view.getUint16(2, true);
+  const id = view.getUint32(4, true);
+  const dt = view.getFloat64(HEADER_BYTES, true);
+
+  const length = HEADER_BYTES + 8 + (count * 8);
+  if (buffer.byteLength < length) {
+    throw new Error(`Truncated binary command: ${buffer.byteLength} of ${length} bytes`);
+  }
+
+  const cmd = BINARY_COMMANDS[code];
+  if (!cmd) {
+    throw new Error(`Unknown binary command: ${code}`);
+  }
+
+  const targets = [];
+  for (let i = 0; i < count; i++) {
+    targets.push(view.getFloat64(HEADER_BYTES + 8 + (i * 8), true));
+  }
+
+  return { cmd, id, params: cmd === 'step' ? { dt } : { dt, targets } };
+}
+
+// Id of a binary command frame, readable without decoding the rest (null if
+// the frame is too short to have one)
+export function commandId(buffer) {
+  return buffer.byteLength >= HEADER_BYTES ? new DataView(buffer).getUint32(4, true) : null;
+}
+
+export function encodeResponse(cmd, id, { time, joints, velocities }, sensordata) {
+  const nu = joints.length;
+  const values = [time, ...joints, ...velocities, ...sensordata];
+  const buffer = new ArrayBuffer(HEADER_BYTES + (values.length * 8));
+  const view = new DataView(buffer);
+
+  view.setUint8(0, COMMAND_CODES[cmd]);
+  view.setUint16(2, nu, true);
+  view.setUint32(4, id, true);
+  values.forEach((value, i) => view.setFloat64(HEADER_BYTES + (i * 8), value, true));
+
+  return buffer;
+}
@@ -0,0 +1,1796 @@
+/**
+ * MuJoCo Physics
+ *
+ * Owns the MuJoCo WASM module, model and data, and executes the physics
+ * command protocol used by BB.Mujoco.Bridge. Has no DOM or Three.js
+ * dependencies so it can run inside a Web Worker, or in Node.js for the
+ * headless physics server (which sets baseUrl and loadMujoco).
+ *
+ * Commands (Elixir → Browser):
+ * - set_joints: Set target joint positions
+ * - get_joints: Get current joint positions
+ * - get_velocities: Get current joint velocities
+ * - get_sensors: Get sensor readings keyed by sensor name
+ * - step: Advance physics by dt seconds
+ * - step_with_targets: Set targets and advance physics in one call
+ * - step_batch: Run a list of { targets, dt } entries (or a ctrl trajectory)
+ *   in one message, returning the state sampled after each entry
+ * - reset: Reset simulation to initial state, or to a keyframe (name or index)
+ * - list_keyframes: List the model's keyframes
+ * - apply_force: Apply a force/torque to a named body (world or body frame),
+ *   for a duration in seconds or until cleared
+ * - clear_forces: Remove applied forces from one body (or all bodies)
+ * - set_mocap: Move mocap bodies ({ name: { pos, quat } }, MuJoCo world frame)
+ * - get_mocap: Get mocap body poses keyed by body name
+ * - set_model_params: Change gravity, timestep, integrator, geom friction,
+ *   body masses and actuator gains on the live model
+ * - get_model_params: Get gravity, timestep and integrator
+ * - get_contacts: List active contacts (geoms, bodies, position, normal, force)
+ * - raycast_scan: Planar LiDAR scan from a site or body (mj_ray), returning
+ *   ranges and hit geom names
+ * - set_control_mode: Switch joints between position, velocity and effort
+ *   control (targets then mean positions, velocities or torques/forces)
+ * - get_state: Get joints, velocities, time and control modes
+ * - start_recording: Record every step into a ring buffer (optional capacity)
+ * - stop_recording: Stop recording, returns frame count and duration
+ * - export_recording: Return recorded qpos/qvel/ctrl/time (and body poses)
+ * - save_state: Capture the complete simulation state as a JSON blob
+ * - load_state: Restore a blob from save_state and run forward kinematics
+ *
+ * Joint targets are either a positional array (actuator order) or a map
+ * keyed by joint or actuator name. Named targets get named results back;
+ * get_joints/get_velocities/get_state accept `named: true` for the same.
+ * Unknown names fail the command with an `unknown` list in the response.
+ *
+ * get_camera_image never reaches this module: simulated cameras are rendered
+ * by the viewer hook from the camera poses in getCameraPoses().
+ *
+ * step and step_with_targets may also arrive as binary frames (see
+ * binary_protocol.js), in which case a successful response is binary too.
+ *
+ * Multi-robot scenes (BB.Mujoco.Exporter.to_scene_mjcf) hold several robots in
+ * one world. Each robot has its own channel topic; commands are routed here
+ * with the robot's name and only see that robot's actuators and sensors, with
+ * its name prefix stripped. Stepping is per robot: the world advances to the
+ * furthest robot clock, so robots stepping in parallel share simulated time.
+ */
+
+import { decodeCommand, encodeResponse } from './binary_protocol.js';
+import AssetCache from './asset_cache.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function decodeName(names, adr) {
+  let end = adr;
+  while (end < names.length && names[end] !== 0) {
+    end++;
+  }
+  return new TextDecoder('utf-8').decode(names.subarray(adr, end));
+}
+
+// A finite number no smaller than zero (model parameters like masses, gains
+// and friction coefficients)
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Asset files an MJCF references: every file attribute (meshes, heightfields,
+// skins, textures including the cube-map file{left,right,...} faces),
+// relative to the compiler's meshdir ("assets")
+function referencedAssets(mjcf) {
+  const files = new Set();
+  for (const match of mjcf.matchAll(/\sfile(?:left|right|up|down|front|back)?\s*=\s*(["'])([^"']+)\1/g)) {
+    files.add(match[2]);
+  }
+  return [...files];
+}
+
+// mjtSensor enum (MuJoCo 3.2)
+const SENSOR_TYPES = [
+  'touch', 'accelerometer', 'velocimeter', 'gyro', 'force', 'torque',
+  'magnetometer', 'rangefinder', 'camprojection', 'jointpos', 'jointvel',
+  'tendonpos', 'tendonvel', 'actuatorpos', 'actuatorvel', 'actuatorfrc',
+  'jointactfrc', 'ballquat', 'ballangvel', 'jointlimitpos', 'jointlimitvel',
+  'jointlimitfrc', 'tendonlimitpos', 'tendonlimitvel', 'tendonlimitfrc',
+  'framepos', 'framequat', 'framexaxis', 'frameyaxis', 'framezaxis',
+  'framelinvel', 'frameangvel', 'framelinacc', 'frameangacc', 'subtreecom',
+  'subtreelinvel', 'subtreeangmom', 'geomdist', 'geomnormal', 'geomfromto',
+  'e_potential', 'e_kinetic', 'clock', 'plugin', 'user'
+];
+
+// Model arrays the renderer needs to build the Three.js scene
+const RENDER_FIELDS = [
+  'geom_group', 'geom_bodyid', 'geom_type', 'geom_size', 'geom_pos',
+  'geom_quat', 'geom_dataid', 'geom_rgba', 'geom_matid', 'mat_rgba',
+  'mat_texid', 'mat_texrepeat', 'mat_texuniform', 'mat_specular',
+  'mat_shininess', 'mat_reflectance', 'mat_emission',
+  'tex_type', 'tex_width', 'tex_height', 'tex_nchannel', 'tex_adr', 'tex_data',
+  'mesh_vertadr', 'mesh_vertnum', 'mesh_vert', 'mesh_faceadr',
+  'mesh_facenum', 'mesh_face', 'mesh_normaladr', 'mesh_normal',
+  'mesh_facenormal', 'mesh_texcoordadr', 'mesh_texcoord', 'mesh_facetexcoord',
+  'hfield_size', 'hfield_nrow', 'hfield_ncol', 'hfield_adr', 'hfield_data',
+  'body_ipos', 'body_iquat', 'body_mass', 'body_inertia',
+  'jnt_type', 'jnt_bodyid', 'jnt_pos', 'jnt_axis',
+  'actuator_trntype', 'actuator_trnid', 'cam_fovy'
+];
+
+// mjData fields that make up a full simulation state, with the model size
+// (and values per element) each one is checked against on restore
+const STATE_FIELDS = {
+  qpos: ['nq', 1],
+  qvel: ['nv', 1],
+  act: ['na', 1],
+  ctrl: ['nu', 1],
+  qacc_warmstart: ['nv', 1],
+  mocap_pos: ['nmocap', 3],
+  mocap_quat: ['nmocap', 4]
+};
+
+// Actuator transmission types (mjtTrn) drawn by the viewer overlays
+const TRN_TENDON = 3;
+
+// Contact force vector from mj_contactForce: normal, two tangents, 3 torques
+const CONTACT_FORCE_SIZE = 6;
+
+// mjtIntegrator names, in enum order
+const INTEGRATORS = ['euler', 'rk4', 'implicit', 'implicitfast'];
+
+// Actuator parameter block size (mjNGAIN / mjNBIAS) and affine bias type
+const ACTUATOR_PARAMS = 10;
+const BIAS_AFFINE = 1;
+
+// Per-joint control modes: ctrl is a target position, a target velocity, or
+// the joint torque/force itself
+const CONTROL_MODES = ['position', 'velocity', 'effort'];
+
+// <custom><text> name marking a scene robot; its data is the name prefix
+const ROBOT_TEXT_PREFIX = 'bb_robot:';
+
+// Keyframe applied on load, if the model has one with this name
+const HOME_KEYFRAME = 'home';
+
+// Planar scan defaults (full circle at 1° resolution, 10m range) and cap
+const DEFAULT_SCAN_RESOLUTION = Math.PI / 180;
+const DEFAULT_SCAN_RANGE = 10;
+const MAX_SCAN_RAYS = 4096;
+
+// Geom groups a ray can hit (mjNGROUP)
+const GEOM_GROUPS = 6;
+
+// Mouse perturbation spring (per unit of subtree mass), critically damped
+const PERTURB_STIFFNESS = 100;
+
+// Parallel asset downloads per model load
+const ASSET_CONCURRENCY = 6;
+
+// Default recording length: one minute at the 50Hz control rate, and the
+// longest allowed (ten minutes; every frame holds full state and poses)
+const DEFAULT_RECORDING_CAPACITY = 3000;
+const MAX_RECORDING_CAPACITY = 30000;
+
+// ============================================================================
+// MuJoCo Physics
+// ============================================================================
+
+const MujocoPhysics = {
+  // MuJoCo state
+  mujoco: null,
+  model: null,
+  data: null,
+
+  // Robot views keyed by robot name ({ name, prefix, actuators, sensors,
+  // jointNames, actuatorIndex, clock }) and the one the current command is for
+  robots: {},
+  view: null,
+
+  // Mouse perturbation ({ body, local, target, lastPoint }) from the viewer
+  perturbation: null,
+
+  // Commanded wrenches keyed by body id ({ force, torque, frame, until })
+  wrenches: {},
+  forcesApplied: false,
+  bodyIndex: {},
+  bodyNames: [],
+
+  // Hit points of the latest scan per sensor (world frame, flat xyz)
+  scans: {},
+
+  // Actuators switched out of position control, keyed by actuator id
+  // ({ mode, gain, bias } with the actuator's original gainprm/biasprm)
+  controlModes: {},
+
+  // Trajectory ring buffer ({ frames, start, count, capacity })
+  recorder: null,
+  recording: false,
+
+  // Config
+  robot: null,
+  // Server origin for MJCF/asset downloads ('' = same origin as the page;
+  // Node needs an absolute URL)
+  baseUrl: '',
+  // MuJoCo module factory; the browser imports it from /vendor when unset
+  loadMujoco: null,
+  // Called with { loaded, total, cached, asset } as model assets arrive
+  onProgress: null,
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  async init() {
+    console.log('[MujocoPhysics] Loading MuJoCo WASM...');
+
+    // Dynamic import of MuJoCo WASM from vendor
+    const load_mujoco = this.loadMujoco || (await import('/vendor/mujoco_wasm.js')).default;
+    this.mujoco = await load_mujoco();
+
+    console.log('[MujocoPhysics] MuJoCo WASM loaded');
+
+    // Set up virtual filesystem
+    this.mujoco.FS.mkdir('/working');
+    this.mujoco.FS.mount(this.mujoco.MEMFS, { root: '.' }, '/working');
+    this.mujoco.FS.mkdir('/working/assets');
+  },
+
+  async load(robot) {
+    if (!this.mujoco) {
+      await this.init();
+    }
+
+    this.unload();
+    this.robot = robot;
+
+    // Download MJCF from server
+    await this.downloadMJCF();
+
+    // Load model
+    console.log('[MujocoPhysics] Loading MuJoCo model...');
+    this.model = this.mujoco.MjModel.loadFromXML('/working/scene.xml');
+    if (!this.model) {
+      throw new Error('Failed to load MuJoCo model');
+    }
+
+    this.data = new this.mujoco.MjData(this.model);
+    if (!this.data) {
+      throw new Error('Failed to create MuJoCo data');
+    }
+
+    this.resolveRobots();
+    this.resolveBodies();
+
+    // Start in the "home" keyframe when the model defines one
+    if (this.getKeyframeNames().includes(HOME_KEYFRAME)) {
+      this.mujoco.mj_resetDataKeyframe(this.model, this.data, this.resolveKeyframe(HOME_KEYFRAME));
+    }
+
+    // Initial forward kinematics
+    this.mujoco.mj_forward(this.model, this.data);
+    this.syncClocks();
+
+    console.log('[MujocoPhysics] Model loaded:', {
+      nbody: this.model.nbody,
+      njnt: this.model.njnt,
+      ngeom: this.model.ngeom,
+      nq: this.model.nq,
+      nv: this.model.nv,
+      nu: this.model.nu
+    });
+
+    // Expose for debugging (in the worker console)
+    globalThis.mjModel = this.model;
+    globalThis.mjData = this.data;
+  },
+
+  unload() {
+    // Free MuJoCo WASM memory
+    if (this.data) {
+      this.data.delete();
+      this.data = null;
+    }
+    // Note: model.delete() may not exist in all MuJoCo WASM versions
+    // but we null the reference to allow garbage collection
+    this.model = null;
+    this.robots = {};
+    this.view = null;
+    this.recorder = null;
+    this.recording = false;
+    this.perturbation = null;
+    this.wrenches = {};
+    this.forcesApplied = false;
+    this.bodyIndex = {};
+    this.scans = {};
+    this.controlModes = {};
+
+    // Clean up virtual filesystem - remove old model files
+    try {
+      this.mujoco.FS.unlink('/working/scene.xml');
+    } catch (e) { /* file may not exist */ }
+
+    try {
+      const assets = this.mujoco.FS.readdir('/working/assets');
+      for (const asset of assets) {
+        if (asset !== '.' && asset !== '..') {
+          this.mujoco.FS.unlink(`/working/assets/${asset}`);
+        }
+      }
+    } catch (e) { /* directory may not exist */ }
+  },
+
+  async downloadMJCF() {
+    console.log('[MujocoPhysics] Downloading MJCF...');
+
+    // Get MJCF from API
+    const url = `${this.baseUrl}/api/mujoco/mjcf/${this.robot}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch MJCF: ${response.statusText}`);
+    }
+    const mjcf = await response.text();
+    this.mujoco.FS.writeFile('/working/scene.xml', mjcf);
+
+    await this.downloadAssets(url, referencedAssets(mjcf));
+  },
+
+  // Fetch the asset files the MJCF references, ASSET_CONCURRENCY at a time,
+  // from the persistent cache when their content hash is already there.
+  // Fails listing every asset that isn't served or didn't download.
+  async downloadAssets(url, referenced) {
+    if (referenced.length === 0) return;
+
+    const listing = await this.fetchAssetListing(url);
+    const hashes = listing.hashes || {};
+    const available = new Set(listing.assets || []);
+    const missing = referenced.filter(asset => !available.has(asset));
+    const queue = referenced.filter(asset => available.has(asset));
+    const progress = { loaded: 0, total: queue.length, cached: 0 };
+
+    console.log('[MujocoPhysics] Assets to download:', queue);
+    this.reportProgress({ ...progress });
+
+    const fetchNext = async () => {
+      while (queue.length > 0) {
+        const asset = queue.shift();
+
+        try {
+          const { data, cached } = await this.fetchAsset(url, asset, hashes[asset]);
+          this.writeAsset(asset, data);
+          if (cached) progress.cached++;
+        } catch (error) {
+          console.error(`[MujocoPhysics] Failed to download asset ${asset}:`, error.message);
+          missing.push(asset);
+        }
+
+        progress.loaded++;
+        this.reportProgress({ ...progress, asset });
+      }
+    };
+
+    await Promise.all(Array.from({ length: ASSET_CONCURRENCY }, fetchNext));
+
+    if (missing.length > 0) {
+      throw new Error(`Missing assets: ${missing.sort().join(', ')}`);
+    }
+
+    console.log(`[MujocoPhysics] Assets ready: ${progress.total} (${progress.cached} cached)`);
+    // Pruned in the background so it never holds up the load
+    AssetCache.prune(Object.values(hashes))
+      .catch(error => console.warn('[MujocoPhysics] Asset cache prune failed:', error));
+  },
+
+  async fetchAssetListing(url) {
+    try {
+      const response = await fetch(`${url}/assets`);
+      if (response.ok) {
+        return await response.json();
+      }
+      console.warn('[MujocoPhysics] Asset listing failed:', response.statusText);
+    } catch (e) {
+      console.warn('[MujocoPhysics] Asset listing failed:', e.message);
+    }
+    return { assets: [] };
+  },
+
+  async fetchAsset(url, asset, hash) {
+    const cached = hash ? await AssetCache.get(hash) : null;
+    if (cached) {
+      return { data: cached, cached: true };
+    }
+
+    const response = await fetch(`${url}/assets/${asset}`);
+    if (!response.ok) {
+      throw new Error(response.statusText || `HTTP ${response.status}`);
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (hash) {
+      await AssetCache.put(hash, data);
+    }
+    return { data, cached: false };
+  },
+
+  writeAsset(asset, data) {
+    const path = `/working/assets/${asset}`;
+    const dir = path.slice(0, path.lastIndexOf('/'));
+    if (dir !== '/working/assets') {
+      this.mujoco.FS.mkdirTree(dir);
+    }
+
+    console.log(`[MujocoPhysics] Writing asset: ${path} (${data.length} bytes)`);
+    this.mujoco.FS.writeFile(path, data);
+  },
+
+  reportProgress(progress) {
+    if (this.onProgress) {
+      this.onProgress(progress);
+    }
+  },
+
+  // ============================================================================
+  // Command Dispatch
+  // ============================================================================
+
+  // `robot` names the scene robot whose channel the command arrived on
+  // (null for the primary robot)
+  handleCommand(payload, robot = null) {
+    const { cmd, id } = payload;
+    const params = payload.params || {};
+    let response = { id, status: "ok" };
+
+    try {
+      this.selectRobot(robot);
+
+      switch (cmd) {
+        case "set_joints":
+          this.setJoints(params.joints);
+          break;
+
+        case "get_joints":
+          response.joints = this.getJoints(params.named);
+          break;
+
+        case "get_velocities":
+          response.velocities = this.getVelocities(params.named);
+          break;
+
+        case "step":
+          const stepResult = this.step(params.dt, params.named);
+          response = { ...response, ...stepResult };
+          break;
+
+        case "step_with_targets":
+          this.setJoints(params.targets);
+          const result = this.step(params.dt, !Array.isArray(params.targets));
+          response = { ...response, ...result };
+          if (this.view.sensors.length > 0) {
+            response.sensors = this.getSensors();
+          }
+          break;
+
+        case "step_batch":
+          response.states = this.stepBatch(params);
+          break;
+
+        case "get_sensors":
+          response.sensors = this.getSensors();
+          break;
+
+        case "reset":
+          this.reset(params.keyframe);
+          response.joints = this.getJoints();
+          response.velocities = this.getVelocities();
+          response.targets = this.view.actuators.map(i => this.data.ctrl[i]);
+          response.time = this.data.time;
+          break;
+
+        case "apply_force":
+          this.applyForce(params);
+          break;
+
+        case "clear_forces":
+          this.clearForces(params.body);
+          break;
+
+        case "set_mocap":
+          this.setMocap(params.bodies);
+          response.mocap = this.getMocap();
+          break;
+
+        case "get_mocap":
+          response.mocap = this.getMocap();
+          break;
+
+        case "set_model_params":
+          this.setModelParams(params);
+          response.params = this.getModelParams();
+          break;
+
+        case "get_model_params":
+          response.params = this.getModelParams();
+          break;
+
+        case "get_contacts":
+          response.contacts = this.getContacts();
+          break;
+
+        case "raycast_scan":
+          response = { ...response, ...this.raycastScan(params) };
+          break;
+
+        case "list_keyframes":
+          response.keyframes = this.listKeyframes();
+          break;
+
+        case "set_control_mode":
+          this.setControlModes(params.modes);
+          response.modes = this.getControlModes(params.named);
+          break;
+
+        case "get_state":
+          response.joints = this.getJoints(params.named);
+          response.velocities = this.getVelocities(params.named);
+          response.time = this.data.time;
+          response.modes = this.getControlModes(params.named);
+          break;
+
+        case "save_state":
+          response.state = this.saveState();
+          break;
+
+        case "load_state":
+          this.loadState(params.state);
+          response.joints = this.getJoints();
+          response.velocities = this.getVelocities();
+          response.time = this.data.time;
+          break;
+
+        case "start_recording":
+          this.startRecording(params.capacity);
+          break;
+
+        case "stop_recording":
+          response = { ...response, ...this.stopRecording() };
+          break;
+
+        case "export_recording":
+          response.recording = this.exportRecording(params.poses);
+          break;
+
+        default:
+          response.status = "error";
+          response.message = `Unknown command: ${cmd}`;
+      }
+    } catch (error) {
+      response.status = "error";
+      response.message = error.message;
+      if (error.unknown) {
+        response.unknown = error.unknown;
+      }
+      console.error('[MujocoPhysics] Command error:', error);
+    }
+
+    return response;
+  },
+
+  // Binary frame in, binary frame out (JSON response if the command failed)
+  handleBinaryCommand(buffer, robot = null) {
+    const payload = decodeCommand(buffer);
+    const response = this.handleCommand(payload, robot);
+
+    if (response.status !== "ok") {
+      return response;
+    }
+
+    return encodeResponse(payload.cmd, payload.id, response, this.getSensorData());
+  },
+
+  // ============================================================================
+  // Physics Operations
+  // ============================================================================
+
+  setJoints(joints) {
+    if (joints === undefined || joints === null) {
+      throw new Error('Missing joint targets');
+    }
+
+    if (!Array.isArray(joints)) {
+      for (const [i, value] of this.resolveTargets(joints)) {
+        this.data.ctrl[i] = value;
+      }
+      return;
+    }
+
+    const actuators = this.view.actuators;
+    for (let i = 0; i < Math.min(joints.length, actuators.length); i++) {
+      this.data.ctrl[actuators[i]] = joints[i];
+    }
+  },
+
+  getJoints(named = false) {
+    const joints = this.view.actuators.map(i => {
+      const jointId = this.model.actuator_trnid[i * 2];
+      return this.data.qpos[this.model.jnt_qposadr[jointId]];
+    });
+
+    return named ? this.toNamed(joints) : joints;
+  },
+
+  getVelocities(named = false) {
+    const velocities = this.view.actuators.map(i => {
+      const jointId = this.model.actuator_trnid[i * 2];
+      return this.data.qvel[this.model.jnt_dofadr[jointId]];
+    });
+
+    return named ? this.toNamed(velocities) : velocities;
+  },
+
+  // Sensor names/types/dims in sensordata order, so binary responses can
+  // carry raw sensordata and still be decoded into named readings
+  getSensorLayout() {
+    const model = this.model;
+    const names = new Uint8Array(model.names);
+    const layout = [];
+
+    for (const i of this.view.sensors) {
+      const type = model.sensor_type[i];
+      layout.push({
+        name: this.sensorName(names, i),
+        type: SENSOR_TYPES[type] || `type_${type}`,
+        dim: model.sensor_dim[i]
+      });
+    }
+
+    return layout;
+  },
+
+  sensorName(names, i) {
+    const nameAdr = this.model.name_sensoradr[i];
+    return nameAdr >= 0 && names[nameAdr] !== 0
+      ? decodeName(names, nameAdr).slice(this.view.prefix.length)
+      : `sensor_${i}`;
+  },
+
+  // Sensor readings keyed by sensor name, e.g.
+  // { "imu_acc": { type: "accelerometer", values: [0.0, 0.0, 9.81] } }
+  getSensors() {
+    const model = this.model;
+    const names = new Uint8Array(model.names);
+    const sensors = {};
+
+    for (const i of this.view.sensors) {
+      const adr = model.sensor_adr[i];
+      const dim = model.sensor_dim[i];
+      const type = model.sensor_type[i];
+
+      sensors[this.sensorName(names, i)] = {
+        type: SENSOR_TYPES[type] || `type_${type}`,
+        values: Array.from(this.data.sensordata.subarray(adr, adr + dim))
+      };
+    }
+
+    return sensors;
+  },
+
+  // The robot's sensordata, in getSensorLayout() order
+  getSensorData() {
+    const model = this.model;
+    if (this.view.sensors.length === model.nsensor) {
+      return this.data.sensordata;
+    }
+
+    return this.view.sensors.flatMap(i =>
+      Array.from(this.data.sensordata.subarray(model.sensor_adr[i], model.sensor_adr[i] + model.sensor_dim[i]))
+    );
+  },
+
+  // Advances the robot's clock by dt and steps the world up to it, at least
+  // one timestep. A robot whose clock is behind the world (another robot
+  // already stepped past it) catches up without stepping, so N robots each
+  // stepping dt move the world by dt rather than N × dt.
+  step(dt, named = false) {
+    if (!Number.isFinite(dt) || dt < 0) {
+      throw new Error(`Invalid dt: ${dt}`);
+    }
+
+    const view = this.view;
+    const behind = view.clock < this.data.time;
+    view.clock = Math.max(view.clock + dt, this.data.time);
+
+    const steps = Math.round((view.clock - this.data.time) / this.model.opt.timestep);
+    const numSteps = behind ? steps : Math.max(1, steps);
+
+    for (let i = 0; i < numSteps; i++) {
+      if (this.forcesApplied || this.perturbation || Object.keys(this.wrenches).length > 0) {
+        this.applyExternalForces();
+      }
+      this.mujoco.mj_step(this.model, this.data);
+    }
+
+    view.clock = Math.max(view.clock, this.data.time);
+
+    if (this.recording && numSteps > 0) {
+      this.recordFrame();
+    }
+
+    return {
+      joints: this.getJoints(named),
+      velocities: this.getVelocities(named),
+      time: this.data.time
+    };
+  },
+
+  // Free-run stepping for the viewer when no Elixir simulation is driving it:
+  // advance the whole world (every robot) until sim time reaches `until`,
+  // for `steps` timesteps, or for as many steps as fit in `budget` ms,
+  // whichever comes first. Robot clocks follow, so Elixir can take over at
+  // any point. Returns the number of timesteps taken.
+  advance({ until = Infinity, steps = Infinity, budget = Infinity }) {
+    if (![until, steps, budget].some(Number.isFinite)) {
+      throw new Error('advance needs until, steps or budget');
+    }
+
+    const timestep = this.model.opt.timestep;
+    const deadline = performance.now() + budget;
+    let count = 0;
+
+    while (count < steps && this.data.time < until - (timestep / 2) && performance.now() < deadline) {
+      if (this.forcesApplied || this.perturbation || Object.keys(this.wrenches).length > 0) {
+        this.applyExternalForces();
+      }
+      this.mujoco.mj_step(this.model, this.data);
+      count++;
+    }
+
+    if (this.recording && count > 0) {
+      this.recordFrame();
+    }
+    this.syncClocks();
+
+    return count;
+  },
+
+  // Entries are [{ targets, dt }], or a trajectory { ctrl: [[...], ...], dt }
+  // applying one ctrl row per dt. Named targets are all resolved up front so
+  // an unknown name fails the batch before any physics runs.
+  stepBatch({ entries, trajectory }) {
+    const batch = trajectory
+      ? trajectory.ctrl.map(targets => ({ targets, dt: trajectory.dt }))
+      : entries;
+
+    if (!Array.isArray(batch)) {
+      throw new Error('step_batch requires entries or trajectory');
+    }
+
+    for (const { targets } of batch) {
+      if (targets && !Array.isArray(targets)) {
+        this.resolveTargets(targets);
+      }
+    }
+
+    return batch.map(({ targets, dt }) => {
+      if (targets) {
+        this.setJoints(targets);
+      }
+      const state = this.step(dt, targets ? !Array.isArray(targets) : false);
+      if (this.view.sensors.length > 0) {
+        state.sensors = this.getSensors();
+      }
+      return state;
+    });
+  },
+
+  reset(keyframe = null) {
+    this.wrenches = {};
+    this.scans = {};
+
+    if (keyframe === null || keyframe === undefined) {
+      this.mujoco.mj_resetData(this.model, this.data);
+    } else {
+      this.mujoco.mj_resetDataKeyframe(this.model, this.data, this.resolveKeyframe(keyframe));
+    }
+    this.mujoco.mj_forward(this.model, this.data);
+    this.syncClocks();
+  },
+
+  // ============================================================================
+  // Mouse Perturbation
+  // ============================================================================
+
+  // Grab a body at a point given in its local frame and pull it towards a
+  // world-frame target (both MuJoCo coordinates); null releases it
+  setPerturbation(perturbation) {
+    const previous = this.perturbation;
+    const sameBody = previous && perturbation && previous.body === perturbation.body;
+
+    // Keep the last grab point while dragging so damping sees real motion
+    this.perturbation = perturbation
+      ? { ...perturbation, lastPoint: sameBody ? previous.lastPoint : null }
+      : null;
+  },
+
+  // Spring from the grabbed point to the target, as a wrench at the body's
+  // center of mass (the point xfrc_applied acts on)
+  perturbationWrench() {
+    const { body, local, target } = this.perturbation;
+    const model = this.model;
+    const data = this.data;
+    const offset = this.rotateToWorld(body, local);
+    const point = offset.map((value, i) => data.xpos[(body * 3) + i] + value);
+    const lastPoint = this.perturbation.lastPoint || point;
+    this.perturbation.lastPoint = point;
+
+    const mass = model.body_subtreemass[body];
+    const damping = 2 * Math.sqrt(PERTURB_STIFFNESS);
+    const force = [0, 1, 2].map(i => {
+      const velocity = (point[i] - lastPoint[i]) / model.opt.timestep;
+      return mass * ((PERTURB_STIFFNESS * (target[i] - point[i])) - (damping * velocity));
+    });
+
+    // torque = (point - com) × force
+    const arm = [0, 1, 2].map(i => point[i] - data.xipos[(body * 3) + i]);
+    const torque = [
+      (arm[1] * force[2]) - (arm[2] * force[1]),
+      (arm[2] * force[0]) - (arm[0] * force[2]),
+      (arm[0] * force[1]) - (arm[1] * force[0])
+    ];
+
+    return [...force, ...torque];
+  },
+
+  // ============================================================================
+  // External Forces
+  // ============================================================================
+
+  resolveBodies() {
+    const namesArray = new Uint8Array(this.model.names);
+    this.bodyIndex = {};
+    this.bodyNames = [];
+
+    for (let b = 0; b < this.model.nbody; b++) {
+      const name = decodeName(namesArray, this.model.name_bodyadr[b]);
+      this.bodyIndex[name] = b;
+      this.bodyNames.push(name);
+    }
+  },
+
+  // Bodies are given by index or by name; scene robots may name their own
+  // bodies without the prefix
+  resolveBody(name) {
+    if (typeof name === 'number') {
+      if (!Number.isInteger(name) || name < 0 || name >= this.model.nbody) {
+        throw new Error(`Unknown body: ${name}`);
+      }
+      return name;
+    }
+
+    const prefixed = this.view ? this.view.prefix + name : name;
+    if (prefixed in this.bodyIndex) {
+      return this.bodyIndex[prefixed];
+    }
+    if (!(name in this.bodyIndex)) {
+      throw new Error(`Unknown body: ${name}`);
+    }
+    return this.bodyIndex[name];
+  },
+
+  applyForce({ body, force = [0, 0, 0], torque = [0, 0, 0], frame = 'world', duration = null }) {
+    if (frame !== 'world' && frame !== 'body') {
+      throw new Error(`Unknown force frame: ${frame}`);
+    }
+
+    this.wrenches[this.resolveBody(body)] = {
+      force,
+      torque,
+      frame,
+      until: duration === null ? null : this.data.time + duration
+    };
+  },
+
+  clearForces(body = null) {
+    if (body === null) {
+      this.wrenches = {};
+    } else {
+      delete this.wrenches[this.resolveBody(body)];
+    }
+  },
+
+  // Rebuild xfrc_applied from commanded wrenches and the mouse perturbation
+  // before every mj_step (body-frame wrenches follow the body's rotation)
+  applyExternalForces() {
+    const data = this.data;
+    data.xfrc_applied.fill(0);
+
+    for (const [body, wrench] of Object.entries(this.wrenches)) {
+      if (wrench.until !== null && data.time >= wrench.until) {
+        delete this.wrenches[body];
+        continue;
+      }
+
+      const values = wrench.frame === 'body'
+        ? [...this.rotateToWorld(body, wrench.force), ...this.rotateToWorld(body, wrench.torque)]
+        : [...wrench.force, ...wrench.torque];
+      values.forEach((value, i) => { data.xfrc_applied[(body * 6) + i] += value; });
+    }
+
+    if (this.perturbation) {
+      const body = this.perturbation.body;
+      this.perturbationWrench().forEach((value, i) => { data.xfrc_applied[(body * 6) + i] += value; });
+    }
+
+    this.forcesApplied = this.perturbation !== null || Object.keys(this.wrenches).length > 0;
+  },
+
+  rotateToWorld(body, vector) {
+    const xmat = this.data.xmat.subarray(body * 9, (body * 9) + 9);
+    return [0, 1, 2].map(r =>
+      (xmat[r * 3] * vector[0]) + (xmat[(r * 3) + 1] * vector[1]) + (xmat[(r * 3) + 2] * vector[2])
+    );
+  },
+
+  // Active commanded forces in world frame, for drawing arrows in the viewer
+  getAppliedForces() {
+    return Object.entries(this.wrenches).map(([body, wrench]) => ({
+      body: Number(body),
+      point: Array.from(this.data.xipos.subarray(body * 3, (body * 3) + 3)),
+      force: wrench.frame === 'body' ? this.rotateToWorld(body, wrench.force) : wrench.force
+    }));
+  },
+
+  // ============================================================================
+  // Model Parameters
+  // ============================================================================
+
+  // Every name and value is checked before anything is written, so a bad
+  // parameter leaves the model unchanged
+  setModelParams({ gravity, timestep, integrator, geom_friction = {}, body_mass = {}, actuator_gain = {} }) {
+    const model = this.model;
+
+    if (gravity !== undefined && !(Array.isArray(gravity) && gravity.length === 3 && gravity.every(Number.isFinite))) {
+      throw new Error('gravity must be [x, y, z]');
+    }
+    if (timestep !== undefined && !(Number.isFinite(timestep) && timestep > 0)) {
+      throw new Error(`Invalid timestep: ${timestep}`);
+    }
+    if (integrator !== undefined && !INTEGRATORS.includes(integrator)) {
+      throw new Error(`Unknown integrator: ${integrator}`);
+    }
+
+    const frictions = Object.entries(geom_friction).map(([name, friction]) => {
+      const valid = Array.isArray(friction)
+        ? friction.length === 3 && friction.every(isNonNegative)
+        : isNonNegative(friction);
+      if (!valid) throw new Error(`Invalid friction for ${name}: ${friction}`);
+      return [this.resolveGeom(name), friction];
+    });
+
+    // Inertia is rescaled from the current mass, so a massless body (the
+    // world, a bare frame) has nothing to scale
+    const masses = Object.entries(body_mass).map(([name, mass]) => {
+      if (!(Number.isFinite(mass) && mass > 0)) throw new Error(`Invalid mass for ${name}: ${mass}`);
+      const body = this.resolveBody(name);
+      if (!(model.body_mass[body] > 0)) throw new Error(`Body has no mass to scale: ${name}`);
+      return [body, mass];
+    });
+
+    for (const [name, gain] of Object.entries(actuator_gain)) {
+      if (!isNonNegative(gain)) throw new Error(`Invalid gain for ${name}: ${gain}`);
+    }
+    const gains = this.resolveTargets(actuator_gain);
+
+    if (gravity !== undefined) model.opt.gravity.set(gravity);
+    if (timestep !== undefined) model.opt.timestep = timestep;
+    if (integrator !== undefined) model.opt.integrator = INTEGRATORS.indexOf(integrator);
+
+    // A number sets sliding friction only; [slide, torsion, roll] sets all three
+    for (const [geom, friction] of frictions) {
+      if (Array.isArray(friction)) {
+        model.geom_friction.set(friction, geom * 3);
+      } else {
+        model.geom_friction[geom * 3] = friction;
+      }
+    }
+
+    // Inertia scales with mass (same shape, different density)
+    for (const [body, mass] of masses) {
+      const scale = mass / model.body_mass[body];
+      model.body_mass[body] = mass;
+      for (let i = 0; i < 3; i++) {
+        model.body_inertia[(body * 3) + i] *= scale;
+      }
+    }
+
+    // Position servos carry -kp in their bias as well, so keep it in step.
+    // Gains are position-mode parameters: an actuator in another control mode
+    // is switched back, updated, then re-derived in its mode
+    for (const [actuator, gain] of gains) {
+      const adr = actuator * ACTUATOR_PARAMS;
+      const mode = this.controlMode(actuator);
+      this.applyControlMode(actuator, 'position');
+      delete this.controlModes[actuator];
+
+      const servo = model.actuator_biastype[actuator] === BIAS_AFFINE &&
+        model.actuator_biasprm[adr + 1] === -model.actuator_gainprm[adr];
+
+      model.actuator_gainprm[adr] = gain;
+      if (servo) {
+        model.actuator_biasprm[adr + 1] = -gain;
+      }
+      this.applyControlMode(actuator, mode);
+    }
+
+    // Masses feed derived constants such as subtree masses
+    if (masses.length > 0) {
+      this.mujoco.mj_setConst(model, this.data);
+    }
+  },
+
+  getModelParams() {
+    const opt = this.model.opt;
+    return {
+      gravity: Array.from(opt.gravity),
+      timestep: opt.timestep,
+      integrator: INTEGRATORS[opt.integrator]
+    };
+  },
+
+  // ============================================================================
+  // Control Modes
+  // ============================================================================
+
+  // Modes are a positional array (actuator order) or a map keyed by joint or
+  // actuator name. Every mode is checked before any actuator changes. ctrl is
+  // reset so a switched joint doesn't jump: position mode holds the current
+  // pose, velocity and effort modes start at zero.
+  setControlModes(modes) {
+    const entries = Array.isArray(modes)
+      ? modes.slice(0, this.view.actuators.length).map((mode, i) => [this.view.actuators[i], mode])
+      : this.resolveTargets(modes || {});
+
+    for (const [, mode] of entries) {
+      if (!CONTROL_MODES.includes(mode)) {
+        throw new Error(`Unknown control mode: ${mode}`);
+      }
+    }
+
+    for (const [actuator, mode] of entries) {
+      if (mode === this.controlMode(actuator)) continue;
+
+      this.applyControlMode(actuator, mode);
+      this.data.ctrl[actuator] = mode === 'position' ? this.actuatorJointPosition(actuator) : 0;
+    }
+  },
+
+  getControlModes(named = false) {
+    const modes = this.view.actuators.map(i => this.controlMode(i));
+    return named ? this.toNamed(modes) : modes;
+  },
+
+  controlMode(actuator) {
+    const entry = this.controlModes[actuator];
+    return entry ? entry.mode : 'position';
+  },
+
+  // Derive the actuator's gain and bias from its original (position servo)
+  // parameters. Velocity mode drives qvel toward ctrl with the servo's kv
+  // (or its kp, if it has no damping); effort mode makes ctrl the joint
+  // torque or force. A ctrlrange is a position range, so it only clamps
+  // ctrl in position mode; forcerange still limits every mode.
+  applyControlMode(actuator, mode) {
+    const model = this.model;
+    const adr = actuator * ACTUATOR_PARAMS;
+    const entry = this.controlModes[actuator] || {
+      gain: model.actuator_gainprm.slice(adr, adr + ACTUATOR_PARAMS),
+      bias: model.actuator_biasprm.slice(adr, adr + ACTUATOR_PARAMS),
+      ctrllimited: model.actuator_ctrllimited[actuator]
+    };
+
+    model.actuator_gainprm.set(entry.gain, adr);
+    model.actuator_biasprm.set(entry.bias, adr);
+    model.actuator_ctrllimited[actuator] = mode === 'position' ? entry.ctrllimited : 0;
+
+    if (mode === 'velocity') {
+      const kv = entry.bias[2] < 0 ? -entry.bias[2] : entry.gain[0];
+      model.actuator_gainprm[adr] = kv;
+      model.actuator_biasprm[adr + 1] = 0;
+      model.actuator_biasprm[adr + 2] = -kv;
+    } else if (mode === 'effort') {
+      model.actuator_gainprm.fill(0, adr, adr + ACTUATOR_PARAMS);
+      model.actuator_gainprm[adr] = 1;
+      model.actuator_biasprm.fill(0, adr, adr + ACTUATOR_PARAMS);
+    }
+
+    this.controlModes[actuator] = { ...entry, mode };
+  },
+
+  actuatorJointPosition(actuator) {
+    const jointId = this.model.actuator_trnid[actuator * 2];
+    return this.data.qpos[this.model.jnt_qposadr[jointId]];
+  },
+
+  // Like bodies, a scene robot's geoms resolve with or without its prefix
+  resolveGeom(name) {
+    const namesArray = new Uint8Array(this.model.names);
+    const geomNames = [];
+
+    for (let g = 0; g < this.model.ngeom; g++) {
+      geomNames.push(decodeName(namesArray, this.model.name_geomadr[g]));
+    }
+
+    const geom = [this.view.prefix + name, name]
+      .map(candidate => geomNames.indexOf(candidate))
+      .find(g => g >= 0);
+    if (geom === undefined) {
+      throw new Error(`Unknown geom: ${name}`);
+    }
+    return geom;
+  },
+
+  // ============================================================================
+  // Mocap Bodies
+  // ============================================================================
+
+  // Mocap id of a body, by name (only bodies declared with mocap="true")
+  resolveMocap(name) {
+    const mocap = this.model.body_mocapid[this.resolveBody(name)];
+    if (mocap < 0) {
+      throw new Error(`Body is not a mocap body: ${name}`);
+    }
+    return mocap;
+  },
+
+  // Positions/quaternions are MuJoCo world frame (Z-up, quat w x y z); the
+  // viewer swizzles the resulting body poses like any other. Either may be
+  // omitted to keep the current value.
+  setMocap(bodies) {
+    // Resolve every name first, so a bad one leaves all poses untouched
+    const updates = Object.entries(bodies).map(([name, pose]) => [this.resolveMocap(name), pose]);
+
+    for (const [mocap, { pos, quat }] of updates) {
+      if (pos) {
+        this.data.mocap_pos.set(pos, mocap * 3);
+      }
+      if (quat) {
+        const norm = Math.hypot(...quat);
+        this.data.mocap_quat.set(quat.map(q => q / norm), mocap * 4);
+      }
+    }
+
+    // Update body poses now rather than at the next step
+    this.mujoco.mj_forward(this.model, this.data);
+  },
+
+  getMocap() {
+    const mocap = {};
+
+    this.bodyNames.forEach((name, b) => {
+      const id = this.model.body_mocapid[b];
+      if (id >= 0) {
+        mocap[name] = {
+          pos: Array.from(this.data.mocap_pos.subarray(id * 3, (id * 3) + 3)),
+          quat: Array.from(this.data.mocap_quat.subarray(id * 4, (id * 4) + 4))
+        };
+      }
+    });
+
+    return mocap;
+  },
+
+  // ============================================================================
+  // Contacts
+  // ============================================================================
+
+  // Active contacts from the last step. Positions, normals and forces are in
+  // world frame; the normal points from geom1 to geom2.
+  getContacts() {
+    const model = this.model;
+    const data = this.data;
+    const namesArray = new Uint8Array(model.names);
+    // Output arguments must live in WASM memory (a plain typed array is copied in)
+    const buffer = new this.mujoco.DoubleBuffer(CONTACT_FORCE_SIZE);
+    const contacts = [];
+
+    try {
+      for (let i = 0; i < data.ncon; i++) {
+        const contact = data.contact.get ? data.contact.get(i) : data.contact[i];
+        const frame = contact.frame;
+        const geoms = [contact.geom1, contact.geom2];
+        const bodies = geoms.map(g => model.geom_bodyid[g]);
+
+        // Contact-frame force (normal, tangent1, tangent2) → world frame
+        this.mujoco.mj_contactForce(model, data, i, buffer);
+        const wrench = buffer.GetView();
+        const force = [0, 1, 2].map(axis =>
+          (wrench[0] * frame[axis]) + (wrench[1] * frame[3 + axis]) + (wrench[2] * frame[6 + axis])
+        );
+
+        contacts.push({
+          geom1: decodeName(namesArray, model.name_geomadr[geoms[0]]) || `geom_${geoms[0]}`,
+          geom2: decodeName(namesArray, model.name_geomadr[geoms[1]]) || `geom_${geoms[1]}`,
+          body1: this.bodyNames[bodies[0]],
+          body2: this.bodyNames[bodies[1]],
+          position: Array.from(contact.pos),
+          normal: [frame[0], frame[1], frame[2]],
+          normal_force: wrench[0],
+          force,
+          distance: contact.dist
+        });
+      }
+    } finally {
+      buffer.delete();
+    }
+
+    return contacts;
+  },
+
+  // Current tendon paths as world-frame line segments (flat [x, y, z, ...],
+  // two points per segment), skipping the gaps at pulleys
+  getTendonPaths() {
+    const model = this.model;
+    const data = this.data;
+    const actuated = new Set();
+
+    for (let i = 0; i < model.nu; i++) {
+      if (model.actuator_trntype[i] === TRN_TENDON) {
+        actuated.add(model.actuator_trnid[i * 2]);
+      }
+    }
+
+    const paths = [];
+    for (let t = 0; t < model.ntendon; t++) {
+      const adr = data.ten_wrapadr[t];
+      const end = adr + data.ten_wrapnum[t];
+      const segments = [];
+
+      for (let w = adr; w < end - 1; w++) {
+        if (data.wrap_obj[w] === -2 || data.wrap_obj[w + 1] === -2) continue;
+        segments.push(...data.wrap_xpos.subarray(w * 3, (w * 3) + 6));
+      }
+
+      paths.push({ tendon: t, actuated: actuated.has(t), segments });
+    }
+
+    return paths;
+  },
+
+  // ============================================================================
+  // Ray Casting
+  // ============================================================================
+
+  // Sites resolve like bodies: with or without a scene robot's prefix
+  resolveSite(name) {
+    const namesArray = new Uint8Array(this.model.names);
+    const siteNames = [];
+
+    for (let s = 0; s < this.model.nsite; s++) {
+      siteNames.push(decodeName(namesArray, this.model.name_siteadr[s]));
+    }
+
+    const site = [this.view.prefix + name, name]
+      .map(candidate => siteNames.indexOf(candidate))
+      .find(s => s >= 0);
+    if (site === undefined) {
+      throw new Error(`Unknown site: ${name}`);
+    }
+    return site;
+  },
+
+  // Fan of rays in the XY plane of a site's (or body's) frame, at angles
+  // from its +X axis about +Z, like a 2D laser scanner. Ranges beyond
+  // max_range (or misses) are null. `groups` limits the geom groups hit;
+  // the sensor's own body is never hit.
+  raycastScan({
+    site = null,
+    body = null,
+    angle_min = -Math.PI,
+    angle_max = Math.PI,
+    resolution = DEFAULT_SCAN_RESOLUTION,
+    max_range = DEFAULT_SCAN_RANGE,
+    groups = null
+  }) {
+    if ((site === null) === (body === null)) {
+      throw new Error('raycast_scan needs either a site or a body');
+    }
+    if (!(resolution > 0) || !(max_range > 0) || !(angle_max >= angle_min)) {
+      throw new Error('raycast_scan needs resolution > 0, max_range > 0 and angle_max >= angle_min');
+    }
+    const count = Math.floor(((angle_max - angle_min) / resolution) + 1e-9) + 1;
+    if (count > MAX_SCAN_RAYS) {
+      throw new Error(`raycast_scan would cast ${count} rays (max ${MAX_SCAN_RAYS})`);
+    }
+
+    const model = this.model;
+    const data = this.data;
+    let origin, xmat, exclude;
+    if (site !== null) {
+      const s = this.resolveSite(site);
+      origin = Array.from(data.site_xpos.subarray(s * 3, (s * 3) + 3));
+      xmat = data.site_xmat.subarray(s * 9, (s * 9) + 9);
+      exclude = model.site_bodyid[s];
+    } else {
+      const b = this.resolveBody(body);
+      origin = Array.from(data.xpos.subarray(b * 3, (b * 3) + 3));
+      xmat = data.xmat.subarray(b * 9, (b * 9) + 9);
+      exclude = b;
+    }
+
+    const geomgroup = Array.from({ length: GEOM_GROUPS }, (_, g) => (groups === null || groups.includes(g) ? 1 : 0));
+    const namesArray = new Uint8Array(model.names);
+    // Output arguments must live in WASM memory (a plain typed array is copied in)
+    const geomid = new this.mujoco.IntBuffer(1);
+    const ranges = [];
+    const geoms = [];
+    const points = [];
+
+    for (let i = 0; i < count; i++) {
+      const angle = angle_min + (i * resolution);
+      const local = [Math.cos(angle), Math.sin(angle), 0];
+      const direction = [0, 1, 2].map(r => (xmat[r * 3] * local[0]) + (xmat[(r * 3) + 1] * local[1]));
+      const distance = this.mujoco.mj_ray(model, data, origin, direction, geomgroup, 1, exclude, geomid);
+
+      if (distance >= 0 && distance <= max_range) {
+        const g = geomid.GetView()[0];
+        ranges.push(distance);
+        geoms.push(decodeName(namesArray, model.name_geomadr[g]) || `geom_${g}`);
+        points.push(...origin.map((value, axis) => value + (direction[axis] * distance)));
+      } else {
+        ranges.push(null);
+        geoms.push(null);
+      }
+    }
+    geomid.delete();
+
+    const sensor = site !== null ? site : body;
+    this.scans[this.view.prefix + sensor] = points;
+
+    return {
+      sensor,
+      angle_min,
+      angle_increment: resolution,
+      max_range,
+      ranges,
+      geoms,
+      time: data.time
+    };
+  },
+
+  // Latest scan hit points per sensor, for the viewer's point-cloud overlay
+  getScans() {
+    return this.scans;
+  },
+
+  // ============================================================================
+  // Keyframes
+  // ============================================================================
+
+  getKeyframeNames() {
+    const namesArray = new Uint8Array(this.model.names);
+    const names = [];
+
+    for (let k = 0; k < this.model.nkey; k++) {
+      const nameAdr = this.model.name_keyadr[k];
+      names.push(nameAdr >= 0 && namesArray[nameAdr] !== 0 ? decodeName(namesArray, nameAdr) : `key_${k}`);
+    }
+
+    return names;
+  },
+
+  listKeyframes() {
+    return this.getKeyframeNames().map((name, index) => ({
+      name,
+      index,
+      time: this.model.key_time[index]
+    }));
+  },
+
+  // Keyframe name or index → index
+  resolveKeyframe(keyframe) {
+    const index = typeof keyframe === 'number'
+      ? keyframe
+      : this.getKeyframeNames().indexOf(keyframe);
+
+    if (!Number.isInteger(index) || index < 0 || index >= this.model.nkey) {
+      throw new Error(`Unknown keyframe: ${keyframe}`);
+    }
+
+    return index;
+  },
+
+  // ============================================================================
+  // State Snapshots
+  // ============================================================================
+
+  saveState() {
+    const state = { time: this.data.time };
+    for (const field of Object.keys(STATE_FIELDS)) {
+      state[field] = Array.from(this.data[field]);
+    }
+    return state;
+  },
+
+  loadState(state) {
+    // Validate every field before touching data so a bad blob changes nothing
+    if (!state || typeof state.time !== 'number') {
+      throw new Error('State is missing time');
+    }
+    for (const [field, [sizeField, width]] of Object.entries(STATE_FIELDS)) {
+      const expected = this.model[sizeField] * width;
+      const values = state[field];
+      if (!Array.isArray(values) || values.length !== expected) {
+        throw new Error(`State field ${field} has ${values ? values.length : 0} values, expected ${expected}`);
+      }
+    }
+
+    for (const field of Object.keys(STATE_FIELDS)) {
+      this.data[field].set(state[field]);
+    }
+    this.data.time = state.time;
+
+    this.mujoco.mj_forward(this.model, this.data);
+    this.syncClocks();
+  },
+
+  // ============================================================================
+  // Trajectory Recording
+  // ============================================================================
+
+  startRecording(capacity = DEFAULT_RECORDING_CAPACITY) {
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_RECORDING_CAPACITY) {
+      throw new Error(`Recording capacity must be an integer from 1 to ${MAX_RECORDING_CAPACITY}: ${capacity}`);
+    }
+
+    this.recorder = { frames: new Array(capacity), start: 0, count: 0, capacity };
+    this.recording = true;
+    this.recordFrame();
+  },
+
+  stopRecording() {
+    this.recording = false;
+    return this.recordingSummary();
+  },
+
+  recordFrame() {
+    const recorder = this.recorder;
+    const index = (recorder.start + recorder.count) % recorder.capacity;
+
+    recorder.frames[index] = {
+      time: this.data.time,
+      qpos: this.data.qpos.slice(),
+      qvel: this.data.qvel.slice(),
+      ctrl: this.data.ctrl.slice(),
+      ...this.getBodyPoses()
+    };
+
+    // Overwrite the oldest frame once the buffer is full
+    if (recorder.count < recorder.capacity) {
+      recorder.count++;
+    } else {
+      recorder.start = (recorder.start + 1) % recorder.capacity;
+    }
+  },
+
+  // i-th frame in chronological order
+  recordedFrame(i) {
+    const recorder = this.recorder;
+    if (!recorder || i < 0 || i >= recorder.count) {
+      throw new Error(`No recorded frame ${i}`);
+    }
+    return recorder.frames[(recorder.start + i) % recorder.capacity];
+  },
+
+  recordingSummary() {
+    const count = this.recorder ? this.recorder.count : 0;
+    if (count === 0) {
+      return { frames: 0, duration: 0 };
+    }
+    return {
+      frames: count,
+      duration: this.recordedFrame(count - 1).time - this.recordedFrame(0).time
+    };
+  },
+
+  exportRecording(includePoses = false) {
+    const count = this.recorder ? this.recorder.count : 0;
+    const frames = [];
+
+    for (let i = 0; i < count; i++) {
+      const frame = this.recordedFrame(i);
+      const exported = {
+        time: frame.time,
+        qpos: Array.from(frame.qpos),
+        qvel: Array.from(frame.qvel),
+        ctrl: Array.from(frame.ctrl)
+      };
+      if (includePoses) {
+        exported.xpos = Array.from(frame.xpos);
+        exported.xquat = Array.from(frame.xquat);
+      }
+      frames.push(exported);
+    }
+
+    return {
+      nq: this.model.nq,
+      nv: this.model.nv,
+      nu: this.model.nu,
+      joint_names: this.getActuatorJointNames(),
+      frames
+    };
+  },
+
+  // ============================================================================
+  // Renderer Exchange
+  // ============================================================================
+
+  // Body poses as standalone copies (safe to transfer out of the worker)
+  getBodyPoses() {
+    return {
+      xpos: this.data.xpos.slice(),
+      xquat: this.data.xquat.slice()
+    };
+  },
+
+  // World poses of the MJCF <camera> elements, for simulated camera images
+  getCameraPoses() {
+    return {
+      cam_xpos: this.data.cam_xpos.slice(),
+      cam_xmat: this.data.cam_xmat.slice()
+    };
+  },
+
+  // Plain-object copy of the model arrays used to build the Three.js scene
+  getRenderModel() {
+    const model = this.model;
+    const names = new Uint8Array(model.names);
+    const renderModel = {
+      nbody: model.nbody,
+      ngeom: model.ngeom,
+      njnt: model.njnt,
+      nu: model.nu,
+      ntendon: model.ntendon,
+      ncam: model.ncam,
+      nmat: model.nmat,
+      ntex: model.ntex,
+      body_names: []
+    };
+
+    // Older MuJoCo builds lack some texture/normal fields; the renderer
+    // falls back to flat colors and computed normals without them
+    for (const field of RENDER_FIELDS) {
+      if (model[field] !== undefined) {
+        renderModel[field] = model[field].slice();
+      }
+    }
+
+    for (let b = 0; b < model.nbody; b++) {
+      renderModel.body_names.push(decodeName(names, model.name_bodyadr[b]));
+    }
+
+    renderModel.camera_names = this.getCameraNames();
+
+    return renderModel;
+  },
+
+  // Model summary reported to LiveView via mujoco_status. Joint and sensor
+  // fields describe the primary (first) robot; `robots` has them per robot
+  // for the physics:ready of each robot's channel.
+  getModelInfo() {
+    const robots = {};
+    for (const name of Object.keys(this.robots)) {
+      this.selectRobot(name);
+      robots[name] = {
+        nu: this.view.actuators.length,
+        joint_names: this.getJointNames(),
+        joint_ranges: this.getJointRanges(),
+        sensors: this.getSensorLayout()
+      };
+    }
+    const primary = robots[this.selectRobot(null).name];
+
+    return {
+      nbody: this.model.nbody,
+      njnt: this.model.njnt,
+      nq: this.model.nq,
+      nv: this.model.nv,
+      ...primary,
+      keyframes: this.getKeyframeNames(),
+      bodies: this.bodyNames,
+      cameras: this.getCameraNames(),
+      robots
+    };
+  },
+
+  getCameraNames() {
+    const names = new Uint8Array(this.model.names);
+    const cameras = [];
+
+    for (let c = 0; c < this.model.ncam; c++) {
+      cameras.push(decodeName(names, this.model.name_camadr[c]) || `camera_${c}`);
+    }
+    return cameras;
+  },
+
+  // ============================================================================
+  // Robots
+  // ============================================================================
+
+  // Scene MJCF tags every robot with <text name="bb_robot:<robot>" data="<prefix>">;
+  // actuators and sensors are assigned to robots by name prefix. A plain
+  // robot model is a single robot with no prefix.
+  resolveRobots() {
+    const model = this.model;
+    const namesArray = new Uint8Array(model.names);
+    const prefixes = {};
+
+    for (let t = 0; t < (model.ntext || 0); t++) {
+      const name = decodeName(namesArray, model.name_textadr[t]);
+      if (name.startsWith(ROBOT_TEXT_PREFIX)) {
+        prefixes[name.slice(ROBOT_TEXT_PREFIX.length)] =
+          decodeName(new Uint8Array(model.text_data), model.text_adr[t]);
+      }
+    }
+    if (Object.keys(prefixes).length === 0) {
+      prefixes[this.robot] = '';
+    }
+
+    const actuatorNames = [];
+    for (let i = 0; i < model.nu; i++) {
+      actuatorNames.push(decodeName(namesArray, model.name_actuatoradr[i]));
+    }
+    const sensorNames = [];
+    for (let i = 0; i < model.nsensor; i++) {
+      sensorNames.push(decodeName(namesArray, model.name_sensoradr[i]));
+    }
+
+    // A name belongs to the robot with the longest matching prefix, so
+    // "arm" and "arm2/" don't claim each other's actuators and sensors
+    const ownerOf = (entry) => {
+      let owner = null;
+      for (const [name, prefix] of Object.entries(prefixes)) {
+        if (entry.startsWith(prefix) && (owner === null || prefix.length > prefixes[owner].length)) {
+          owner = name;
+        }
+      }
+      return owner;
+    };
+
+    this.robots = {};
+    for (const [name, prefix] of Object.entries(prefixes)) {
+      const owned = (names) => names
+        .map((entry, i) => (ownerOf(entry) === name ? i : -1))
+        .filter(i => i >= 0);
+
+      this.robots[name] = {
+        name,
+        prefix,
+        actuators: owned(actuatorNames),
+        sensors: owned(sensorNames),
+        clock: 0
+      };
+      this.selectRobot(name);
+      this.resolveActuators();
+    }
+    this.selectRobot(null);
+  },
+
+  // Point commands at a robot's view (null selects the primary robot)
+  selectRobot(robot) {
+    if (robot === null || robot === undefined) {
+      this.view = Object.values(this.robots)[0];
+    } else if (robot in this.robots) {
+      this.view = this.robots[robot];
+    } else {
+      throw new Error(`Unknown robot: ${robot}`);
+    }
+    return this.view;
+  },
+
+  syncClocks() {
+    for (const view of Object.values(this.robots)) {
+      view.clock = this.data.time;
+    }
+  },
+
+  // ============================================================================
+  // Joint Info Helpers
+  // ============================================================================
+
+  // Index the robot's actuators by their own name and by the joint they
+  // drive (both without the robot prefix), so named targets work whichever
+  // side of the BB/MJCF mapping the caller uses
+  resolveActuators() {
+    const view = this.view;
+    const namesArray = new Uint8Array(this.model.names);
+    view.jointNames = this.getJointNames();
+    view.actuatorIndex = {};
+
+    view.actuators.forEach((actuator, i) => {
+      view.actuatorIndex[view.jointNames[i]] = actuator;
+
+      const nameAdr = this.model.name_actuatoradr[actuator];
+      if (nameAdr >= 0 && namesArray[nameAdr] !== 0) {
+        view.actuatorIndex[decodeName(namesArray, nameAdr).slice(view.prefix.length)] = actuator;
+      }
+    });
+  },
+
+  // Map of name → value into [actuatorIndex, value] pairs
+  resolveTargets(targets) {
+    const resolved = [];
+    const unknown = [];
+
+    for (const [name, value] of Object.entries(targets)) {
+      if (name in this.view.actuatorIndex) {
+        resolved.push([this.view.actuatorIndex[name], value]);
+      } else {
+        unknown.push(name);
+      }
+    }
+
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown joints: ${unknown.join(', ')}`);
+      error.unknown = unknown;
+      throw error;
+    }
+
+    return resolved;
+  },
+
+  // Actuator-ordered values keyed by joint name
+  toNamed(values) {
+    const named = {};
+    values.forEach((value, i) => { named[this.view.jointNames[i]] = value; });
+    return named;
+  },
+
+  // Joint names of the robot's actuators, without the robot prefix
+  getJointNames() {
+    const { actuators, prefix } = this.view;
+    const names = this.getActuatorJointNames();
+    return actuators.map(i => (names[i].startsWith(prefix) ? names[i].slice(prefix.length) : names[i]));
+  },
+
+  // Joint names of every actuator in the world, in actuator order
+  getActuatorJointNames() {
+    const names = [];
+    const namesArray = new Uint8Array(this.model.names);
+
+    for (let i = 0; i < this.model.nu; i++) {
+      const jointId = this.model.actuator_trnid[i * 2];
+      if (jointId >= 0 && jointId < this.model.njnt) {
+        names.push(decodeName(namesArray, this.model.name_jntadr[jointId]));
+      } else {
+        names.push(`actuator_${i}`);
+      }
+    }
+
+    return names;
+  },
+
+  getJointRanges() {
+    const ranges = [];
+
+    for (const i of this.view.actuators) {
+      const jointId = this.model.actuator_trnid[i * 2];
+      if (jointId >= 0 && jointId < this.model.njnt) {
+        // Check if joint has limits
+        const limited = this.model.jnt_limited[jointId];
+        if (limited) {
+          const rangeIdx = jointId * 2;
+          ranges.push([
+            this.model.jnt_range[rangeIdx],
+            this.model.jnt_range[rangeIdx + 1]
+          ]);
+        } else {
+          // No limits - use default range
+          ranges.push([-3.14159, 3.14159]);
+        }
+      } else {
+        ranges.push([-1, 1]);
+      }
+    }
+
+    return ranges;
+  }
+};
+
+export default MujocoPhysics;
@@ -0,0 +1,201 @@
+/**
+ * Physics Channels
+ *
+ * The Phoenix Channel side of the physics server, shared by the MujocoViewer
+ * hook and the headless Node server (headless/physics_server.js). Joins
+ * mujoco:physics:<robot> for every robot in the loaded model (one, unless it
+ * is a multi-robot scene), announces each with physics:ready and answers
+ * every physics:command with a physics:response.
+ *
+ * Commands are run by the `execute(payload, robot)` callback, which returns
+ * (or resolves to) the response: a JSON object, or an ArrayBuffer for a
+ * binary step command. A thrown error becomes an error response.
+ *
+ * Reconnection: create the Socket with RECONNECT_OPTIONS. When the WebSocket
+ * drops, Phoenix reconnects and rejoins every channel with backoff; a failed
+ * or timed-out join is retried the same way. Each rejoin re-sends
+ * physics:ready with `resume: true` and the robot's current time, joints,
+ * velocities and control modes, so BB.Mujoco.Bridge resyncs instead of
+ * resetting. A physics:ready that fails or times out is re-sent with the
+ * same backoff.
+ *
+ * Driver status: the physics:ready reply says whether the robot's
+ * BB.Mujoco.Simulation is stepping physics, and physics:driving reports when
+ * that changes. `driverStatus()` sums it up over every robot: 'connecting'
+ * until each channel has joined and been answered (and again while one
+ * rejoins), then 'elixir' if any robot's Simulation is driving, else 'free'
+ * (also while a failed physics:ready waits to be re-sent).
+ * `onStatus` is called with the summary whenever it changes.
+ */
+
+import { commandId } from './binary_protocol.js';
+
+// Socket reconnect / channel rejoin delays (ms), capped at the last entry
+const BACKOFF_MS = [100, 500, 1000, 2000, 5000];
+
+const backoff = (tries) => BACKOFF_MS[Math.min(tries, BACKOFF_MS.length) - 1];
+
+export const RECONNECT_OPTIONS = { reconnectAfterMs: backoff, rejoinAfterMs: backoff };
+
+// modelInfo is MujocoPhysics.getModelInfo(); `binary` offers binary framing
+// for step commands (Elixir replies with the encoding it will use)
+export function joinPhysicsChannels(socket, modelInfo, { execute, binary = true, onStatus = null }) {
+  const channels = {};
+
+  // Per robot: 'connecting', 'elixir' or 'free'
+  const statuses = {};
+  let lastStatus = null;
+  let left = false;
+
+  const driverStatus = () => {
+    const values = Object.values(statuses);
+    if (values.includes('connecting')) return 'connecting';
+    return values.includes('elixir') ? 'elixir' : 'free';
+  };
+
+  const setStatus = (robot, status) => {
+    statuses[robot] = status;
+
+    const overall = driverStatus();
+    if (overall !== lastStatus && !left) {
+      lastStatus = overall;
+      if (onStatus) onStatus(overall);
+    }
+  };
+
+  const push = (robot, response) => {
+    if (channels[robot]) {
+      channels[robot].push("physics:response", response);
+    }
+  };
+
+  // Robots whose channel has been joined before, so a join is a resume
+  const joined = new Set();
+
+  // Per robot: failed physics:ready pushes in a row, and the pending resend
+  const readyRetries = {};
+
+  const retryReady = (robot, reason) => {
+    const tries = (readyRetries[robot]?.tries || 0) + 1;
+    console.warn(`[PhysicsChannels] Ready ${reason} for ${robot}, resending`);
+
+    // Nothing is known to be driving the robot until Elixir answers. If the
+    // channel drops meanwhile, its rejoin sends ready instead
+    setStatus(robot, 'free');
+    const resend = () => {
+      if (statuses[robot] !== 'connecting') sendReady(robot);
+    };
+    readyRetries[robot] = { tries, timer: setTimeout(resend, backoff(tries)) };
+  };
+
+  // Announce the robot's joints and sensors, and where its simulation is
+  const sendReady = async (robot) => {
+    clearTimeout(readyRetries[robot]?.timer);
+    if (left) return;
+
+    const info = modelInfo.robots[robot];
+    const resume = joined.has(robot);
+    let state = {};
+
+    try {
+      const { joints, velocities, time, modes } = await execute({ cmd: "get_state", params: {} }, robot);
+      state = { joints, velocities, time, modes };
+    } catch (error) {
+      console.warn('[PhysicsChannels] Could not read state for ready:', error.message);
+    }
+
+    joined.add(robot);
+    channels[robot].push("physics:ready", {
+      nq: modelInfo.nq,
+      nv: modelInfo.nv,
+      nu: info.nu,
+      binary,
+      sensors: info.sensors,
+      resume,
+      ...state
+    })
+      .receive("ok", ({ encoding, driving }) => {
+        console.log(`[PhysicsChannels] Physics encoding for ${robot}:`, encoding || 'json');
+        delete readyRetries[robot];
+        setStatus(robot, driving ? 'elixir' : 'free');
+      })
+      .receive("error", () => retryReady(robot, 'failed'))
+      .receive("timeout", () => retryReady(robot, 'timed out'));
+  };
+
+  const handleCommand = async (payload, robot) => {
+    // Binary frames may be transferred away by execute, so read the id first
+    const id = payload instanceof ArrayBuffer ? commandId(payload) : payload.id;
+    let response;
+
+    try {
+      response = await execute(payload, robot);
+    } catch (error) {
+      response = { id, status: "error", message: error.message };
+      console.error('[PhysicsChannels] Command error:', error);
+    }
+
+    push(robot, response);
+  };
+
+  for (const robot of Object.keys(modelInfo.robots)) {
+    const channel = socket.channel(`mujoco:physics:${robot}`, {});
+
+    // Handle physics commands from Elixir
+    channel.on("physics:command", (payload) => handleCommand(payload, robot));
+
+    // The robot's Simulation started or stopped stepping physics
+    channel.on("physics:driving", ({ driving }) => {
+      setStatus(robot, driving ? 'elixir' : 'free');
+    });
+
+    // Phoenix rejoins errored channels by itself; these just report it
+    channel.onError(() => {
+      console.warn('[PhysicsChannels] Channel error, rejoining:', robot);
+      setStatus(robot, 'connecting');
+    });
+    channel.onClose(() => {
+      console.log('[PhysicsChannels] Channel closed:', robot);
+      setStatus(robot, 'connecting');
+    });
+
+    // "ok" fires again on every rejoin
+    channel.join()
+      .receive("ok", () => {
+        console.log(`[PhysicsChannels] ${joined.has(robot) ? 'Rejoined' : 'Joined'} physics channel for:`, robot);
+        sendReady(robot);
+      })
+      .receive("error", (resp) => {
+        console.error('[PhysicsChannels] Failed to join channel, retrying:', robot, resp);
+      })
+      .receive("timeout", () => {
+        console.warn('[PhysicsChannels] Join timed out, retrying:', robot);
+      });
+
+    channels[robot] = channel;
+    setStatus(robot, 'connecting');
+  }
+
+  const socketRefs = [
+    socket.onError(() => console.warn('[PhysicsChannels] Socket error, reconnecting')),
+    socket.onClose(() => console.warn('[PhysicsChannels] Socket closed')),
+    socket.onOpen(() => console.log('[PhysicsChannels] Socket connected'))
+  ];
+
+  return {
+    channels,
+    push,
+    driverStatus,
+
+    leave() {
+      left = true;
+      socket.off(socketRefs);
+      for (const { timer } of Object.values(readyRetries)) {
+        clearTimeout(timer);
+      }
+      for (const channel of Object.values(channels)) {
+        channel.leave();
+      }
+    }
+  };
+}
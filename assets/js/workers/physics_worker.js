@@ -0,0 +1,151 @@
+/**
+ * MuJoCo Physics Worker
+ *
+ * Runs MujocoPhysics off the main thread so mj_step never blocks Three.js
+ * rendering. The MujocoViewer hook relays channel commands here and gets
+ * back the response plus transferable body pose buffers (xpos/xquat).
+ *
+ * Messages (hook → worker):
+ * - { id, type: "load", robot }: Download MJCF and (re)load the model
+ * - { id, type: "command", command, robot }: Execute a physics:command payload
+ *   (a JSON object, or an ArrayBuffer for binary frames) for the scene robot
+ *   whose channel it arrived on
+ * - { id, type: "run", until, steps, budget }: Free-run the whole world (see
+ *   MujocoPhysics.advance) when Elixir isn't driving it
+ * - { id, type: "replay", frame }: Fetch body poses of a recorded frame
+ * - { id, type: "perturb", perturbation }: Grab/drag a body (null releases)
+ * - { id, type: "overlays", contacts, tendons, scans }: Choose which overlay
+ *   data (active contacts, tendon paths, LiDAR scan points) to include in
+ *   responses
+ *
+ * Messages (worker → hook):
+ * - { id, type: "loaded", model, info, poses, cameras }: Render model, model
+ *   info (with per-robot joints/sensors in info.robots) and initial body and
+ *   camera poses
+ * - { id, type: "response", response, time, poses, cameras, forces, contacts,
+ *   tendons, scans }: Command response (null for "run"), simulation time,
+ *   body and camera poses, the commanded forces and (when enabled) contacts,
+ *   tendon paths and scan points to draw
+ * - { id, type: "progress", loaded, total, cached, asset }: Asset download
+ *   progress while a "load" is in flight (any number, before "loaded")
+ * - { id, type: "frame", frame, time, poses }: Recorded frame poses
+ * - { id, type: "ok" }: Acknowledgement for messages without a result
+ * - { id, type: "error", message }: Request failed ("Model not loaded" for a
+ *   "command" or "run" when no model is loaded, e.g. after a failed load)
+ *
+ * Messages are handled one at a time in arrival order, so anything sent while
+ * a "load" is in flight waits for the new model.
+ */
+
+import MujocoPhysics from '../physics/mujoco_physics.js';
+
+// Overlay data is only collected while the viewer is showing it
+const overlays = { contacts: false, tendons: false, scans: false };
+
+// Messages still waiting for the one before them (a load, say)
+let queue = Promise.resolve();
+
+function requireModel() {
+  if (!MujocoPhysics.data) {
+    throw new Error('Model not loaded');
+  }
+}
+
+function poseTransfer(poses) {
+  return Object.values(poses).map(value => value.buffer);
+}
+
+// Reply with the simulation state the viewer renders, after a command
+// (`response` is its result) or a free-run advance (`response` is null)
+function postState(id, response) {
+  const poses = MujocoPhysics.getBodyPoses();
+  const cameras = MujocoPhysics.getCameraPoses();
+  const transfer = response instanceof ArrayBuffer ? [response] : [];
+  const forces = MujocoPhysics.getAppliedForces();
+  const contacts = overlays.contacts ? MujocoPhysics.getContacts() : [];
+  const tendons = overlays.tendons ? MujocoPhysics.getTendonPaths() : [];
+  const scans = overlays.scans ? MujocoPhysics.getScans() : {};
+  const time = MujocoPhysics.data.time;
+  self.postMessage(
+    { id, type: "response", response, time, poses, cameras, forces, contacts, tendons, scans },
+    [...transfer, ...poseTransfer(poses), ...poseTransfer(cameras)]
+  );
+}
+
+async function handleMessage({ id, type, ...message }) {
+  switch (type) {
+    case "load": {
+      MujocoPhysics.onProgress = progress => self.postMessage({ id, type: "progress", ...progress });
+      try {
+        await MujocoPhysics.load(message.robot);
+      } finally {
+        MujocoPhysics.onProgress = null;
+      }
+
+      const model = MujocoPhysics.getRenderModel();
+      const poses = MujocoPhysics.getBodyPoses();
+      const cameras = MujocoPhysics.getCameraPoses();
+      const transfer = Object.values(model)
+        .filter(value => ArrayBuffer.isView(value))
+        .map(value => value.buffer);
+
+      self.postMessage(
+        { id, type: "loaded", model, info: MujocoPhysics.getModelInfo(), poses, cameras },
+        [...transfer, ...poseTransfer(poses), ...poseTransfer(cameras)]
+      );
+      break;
+    }
+
+    case "command": {
+      requireModel();
+      const binary = message.command instanceof ArrayBuffer;
+      const response = binary
+        ? MujocoPhysics.handleBinaryCommand(message.command, message.robot)
+        : MujocoPhysics.handleCommand(message.command, message.robot);
+      postState(id, response);
+      break;
+    }
+
+    case "run":
+      requireModel();
+      MujocoPhysics.advance(message);
+      postState(id, null);
+      break;
+
+    case "replay": {
+      const frame = MujocoPhysics.recordedFrame(message.frame);
+      const poses = { xpos: frame.xpos.slice(), xquat: frame.xquat.slice() };
+      self.postMessage(
+        { id, type: "frame", frame: message.frame, time: frame.time, poses },
+        poseTransfer(poses)
+      );
+      break;
+    }
+
+    case "perturb":
+      MujocoPhysics.setPerturbation(message.perturbation);
+      self.postMessage({ id, type: "ok" });
+      break;
+
+    case "overlays":
+      overlays.contacts = Boolean(message.contacts);
+      overlays.tendons = Boolean(message.tendons);
+      overlays.scans = Boolean(message.scans);
+      self.postMessage({ id, type: "ok" });
+      break;
+
+    default:
+      throw new Error(`Unknown worker message: ${type}`);
+  }
+}
+
+self.onmessage = (event) => {
+  queue = queue.then(async () => {
+    try {
+      await handleMessage(event.data);
+    } catch (error) {
+      console.error('[PhysicsWorker] Error:', error);
+      self.postMessage({ id: event.data.id, type: "error", message: error.message });
+    }
+  });
+};
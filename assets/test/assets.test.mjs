@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModel, MujocoPhysics } from './support/physics.mjs';
+
+const TETRAHEDRON = 'v 0 0 0\nv 0.1 0 0\nv 0 0.1 0\nv 0 0 0.1\nf 1 3 2\nf 1 2 4\nf 1 4 3\nf 2 3 4\n';
+
+// A 1×1 RGBA PNG
+const PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function mjcf(extraAssets = '') {
+  return `
+<mujoco>
+  <compiler meshdir="assets" texturedir="assets"/>
+  <asset>
+    <mesh name="tet" file="parts/tet.obj"/>
+    <texture name="grid" type="2d" file="pixel.png"/>
+    <material name="grid" texture="grid"/>
+    ${extraAssets}
+  </asset>
+  <worldbody>
+    <body>
+      <freejoint/>
+      <geom type="mesh" mesh="tet" material="grid"/>
+    </body>
+  </worldbody>
+</mujoco>`;
+}
+
+const ASSETS = { 'parts/tet.obj': TETRAHEDRON, 'pixel.png': PIXEL, 'unused.stl': 'solid' };
+
+test('downloads the meshes and textures the MJCF references', async () => {
+  const progress = [];
+  const fetched = await loadModel(mjcf(), { assets: ASSETS, onProgress: p => progress.push(p) });
+
+  assert.equal(MujocoPhysics.model.nmesh, 1);
+  assert.equal(MujocoPhysics.model.ntex, 1);
+
+  const downloads = fetched.filter(url => /\/assets\/.+/.test(url)).map(url => url.split('/assets/')[1]);
+  assert.deepEqual(downloads.sort(), ['parts/tet.obj', 'pixel.png']);
+
+  assert.deepEqual(progress[0], { loaded: 0, total: 2, cached: 0 });
+  assert.equal(progress.length, 3);
+  assert.equal(progress.at(-1).loaded, 2);
+});
+
+test('fails naming every missing asset', async () => {
+  const skybox = '<texture type="skybox" fileleft="left.png" fileright="pixel.png"/>';
+
+  await assert.rejects(
+    loadModel(mjcf(skybox), { assets: { 'pixel.png': PIXEL } }),
+    { message: 'Missing assets: left.png, parts/tet.obj' }
+  );
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCommand, commandId } from '../js/physics/binary_protocol.js';
+
+// A step_with_targets frame: header, dt, then `count` targets
+function frame(id, dt, targets) {
+  const view = new DataView(new ArrayBuffer(16 + (targets.length * 8)));
+  view.setUint8(0, 2);
+  view.setUint16(2, targets.length, true);
+  view.setUint32(4, id, true);
+  view.setFloat64(8, dt, true);
+  targets.forEach((target, i) => view.setFloat64(16 + (i * 8), target, true));
+  return view.buffer;
+}
+
+test('decodes step_with_targets', () => {
+  assert.deepEqual(decodeCommand(frame(7, 0.02, [0.5, -1])), {
+    cmd: 'step_with_targets',
+    id: 7,
+    params: { dt: 0.02, targets: [0.5, -1] }
+  });
+});
+
+test('rejects truncated frames', () => {
+  const full = frame(7, 0.02, [0.5, -1]);
+
+  assert.throws(() => decodeCommand(full.slice(0, 4)), { message: 'Truncated binary command: 4 bytes' });
+  assert.throws(() => decodeCommand(full.slice(0, 12)), { message: 'Truncated binary command: 12 bytes' });
+  assert.throws(() => decodeCommand(full.slice(0, 24)), { message: 'Truncated binary command: 24 of 32 bytes' });
+});
+
+test('commandId reads the id of any frame with a header', () => {
+  assert.equal(commandId(frame(7, 0.02, []).slice(0, 8)), 7);
+  assert.equal(commandId(new ArrayBuffer(3)), null);
+});
@@ -0,0 +1,86 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModel, command, MujocoPhysics } from './support/physics.mjs';
+
+// A heavy wheel (I = 0.45 kg·m²) on a position servo with a ctrlrange, and a
+// plain joint, without gravity
+const MJCF = `
+<mujoco>
+  <option gravity="0 0 0"/>
+  <default><position kp="100" kv="10"/></default>
+  <worldbody>
+    <body name="wheel">
+      <joint name="axle" type="hinge" axis="0 0 1"/>
+      <geom type="cylinder" size="0.3 0.02" mass="10"/>
+    </body>
+    <body name="arm" pos="1 0 0">
+      <joint name="j2" type="hinge" axis="0 0 1"/>
+      <geom type="box" size="0.3 0.3 0.3" mass="10"/>
+    </body>
+  </worldbody>
+  <actuator>
+    <position name="axle" joint="axle" ctrlrange="-0.5 0.5"/>
+    <position name="j2" joint="j2"/>
+  </actuator>
+</mujoco>`;
+
+const AXLE_INERTIA = 0.5 * 10 * 0.3 * 0.3;
+
+before(async () => {
+  await loadModel(MJCF);
+});
+
+test('every actuator starts in position mode', () => {
+  assert.deepEqual(command('get_state', {}).modes, ['position', 'position']);
+  assert.deepEqual(command('get_state', { named: true }).modes, { axle: 'position', j2: 'position' });
+});
+
+test('velocity mode tracks a target beyond the ctrlrange', () => {
+  command('reset', {});
+  const { modes } = command('set_control_mode', { modes: { axle: 'velocity' }, named: true });
+  assert.deepEqual(modes, { axle: 'velocity', j2: 'position' });
+  assert.equal(MujocoPhysics.model.actuator_ctrllimited[0], 0);
+
+  for (let i = 0; i < 50; i++) {
+    command('step_with_targets', { targets: [2.0, 0.0], dt: 0.02 });
+  }
+  assert.ok(Math.abs(MujocoPhysics.data.qvel[0] - 2.0) < 1e-3, `qvel ${MujocoPhysics.data.qvel[0]}`);
+});
+
+test('effort mode applies the target as torque', () => {
+  command('reset', {});
+  command('set_control_mode', { modes: ['effort', 'position'] });
+
+  command('step_with_targets', { targets: [0.1, 0.0], dt: 0.2 });
+  const expected = 0.1 * 0.2 / AXLE_INERTIA;
+  assert.ok(Math.abs(MujocoPhysics.data.qvel[0] - expected) < 1e-6, `qvel ${MujocoPhysics.data.qvel[0]}`);
+});
+
+test('position mode restores the servo and its ctrlrange', () => {
+  command('set_control_mode', { modes: ['velocity', 'position'] });
+  command('set_control_mode', { modes: ['position', 'position'] });
+
+  const model = MujocoPhysics.model;
+  assert.deepEqual(Array.from(model.actuator_gainprm.subarray(0, 3)), [100, 0, 0]);
+  assert.deepEqual(Array.from(model.actuator_biasprm.subarray(0, 3)), [0, -100, -10]);
+  assert.equal(model.actuator_ctrllimited[0], 1);
+
+  // The switched joint holds where it is
+  assert.equal(MujocoPhysics.data.ctrl[0], MujocoPhysics.data.qpos[0]);
+});
+
+test('a gain set in another mode holds after switching back', () => {
+  command('set_control_mode', { modes: ['velocity', 'position'] });
+  command('set_model_params', { actuator_gain: { axle: 50 } });
+  command('set_control_mode', { modes: ['position', 'position'] });
+
+  const model = MujocoPhysics.model;
+  assert.equal(model.actuator_gainprm[0], 50);
+  assert.equal(model.actuator_biasprm[1], -50);
+});
+
+test('an unknown mode changes nothing', () => {
+  const response = command('set_control_mode', { modes: { axle: 'velocity', j2: 'turbo' } });
+  assert.equal(response.message, 'Unknown control mode: turbo');
+  assert.deepEqual(command('get_state', {}).modes, ['position', 'position']);
+});
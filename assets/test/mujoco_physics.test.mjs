@@ -0,0 +1,216 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModel, command, MujocoPhysics } from './support/physics.mjs';
+
+const MJCF = `
+<mujoco>
+  <option timestep="0.002"/>
+  <worldbody>
+    <geom name="floor" type="plane" size="5 5 0.1"/>
+    <site name="lidar" pos="2 0 1.5"/>
+    <body name="box" pos="0 0 0.1">
+      <freejoint/>
+      <geom name="box_geom" type="box" size="0.1 0.1 0.1" mass="1"/>
+    </body>
+    <body name="arm" pos="0 -2 1">
+      <joint name="shoulder" type="hinge" axis="0 0 1"/>
+      <geom type="capsule" fromto="0 0 0 0.3 0 0" size="0.02" mass="1"/>
+    </body>
+    <body name="wall" pos="3 0 1.5">
+      <geom name="wall" type="box" size="0.1 1 1"/>
+    </body>
+    <body name="target" mocap="true" pos="0 2 1">
+      <geom type="sphere" size="0.05" contype="0" conaffinity="0"/>
+    </body>
+  </worldbody>
+  <actuator>
+    <position name="shoulder" joint="shoulder" kp="50" kv="5"/>
+  </actuator>
+</mujoco>`;
+
+const TIMESTEP = 0.002;
+
+before(async () => {
+  await loadModel(MJCF);
+});
+
+function reset() {
+  assert.equal(command('reset', {}).status, 'ok');
+}
+
+test('step takes at least one timestep', () => {
+  reset();
+  assert.equal(command('step', { dt: 0 }).time, TIMESTEP);
+  assert.ok(Math.abs(command('step', { dt: 5 * TIMESTEP }).time - (6 * TIMESTEP)) < 1e-9);
+});
+
+test('step rejects invalid dt', () => {
+  reset();
+  for (const dt of [-0.01, NaN, Infinity, undefined, '0.02']) {
+    const response = command('step', { dt });
+    assert.equal(response.status, 'error');
+    assert.match(response.message, /^Invalid dt/);
+  }
+  assert.equal(MujocoPhysics.data.time, 0);
+});
+
+test('commands without params are answered', () => {
+  assert.equal(MujocoPhysics.handleCommand({ cmd: 'get_joints', id: 7 }).status, 'ok');
+  assert.deepEqual(MujocoPhysics.handleCommand({ cmd: 'set_joints', id: 8 }), {
+    id: 8,
+    status: 'error',
+    message: 'Missing joint targets'
+  });
+});
+
+test('forces address bodies by name or index', () => {
+  reset();
+  const box = MujocoPhysics.bodyIndex.box;
+
+  assert.equal(command('apply_force', { body: 'box', force: [0, 0, 1] }).status, 'ok');
+  assert.equal(command('apply_force', { body: box, torque: [0, 0, 1] }).status, 'ok');
+  assert.deepEqual(Object.keys(MujocoPhysics.wrenches), [String(box)]);
+  assert.deepEqual(MujocoPhysics.wrenches[box].torque, [0, 0, 1]);
+
+  for (const body of [MujocoPhysics.model.nbody, -1, 1.5]) {
+    assert.deepEqual(command('apply_force', { body }), {
+      id: 1,
+      status: 'error',
+      message: `Unknown body: ${body}`
+    });
+  }
+
+  assert.equal(command('clear_forces', { body: box }).status, 'ok');
+  assert.deepEqual(MujocoPhysics.wrenches, {});
+});
+
+test('get_contacts reports the resting box', () => {
+  reset();
+  command('step', { dt: 0.2 });
+
+  const { contacts } = command('get_contacts', {});
+  const floor = contacts.filter(c => [c.geom1, c.geom2].includes('floor') && [c.geom1, c.geom2].includes('box_geom'));
+  assert.ok(floor.length > 0);
+
+  // Together the contacts hold up the 1kg box
+  const support = floor.reduce((sum, c) => sum + c.normal_force, 0);
+  assert.ok(Math.abs(support - 9.81) < 0.5, `support ${support}`);
+});
+
+test('start_recording validates its capacity', () => {
+  for (const capacity of [0, -5, 2.5, '10', null, 30001]) {
+    const response = command('start_recording', { capacity });
+    assert.equal(response.status, 'error');
+    assert.match(response.message, /^Recording capacity must be an integer from 1 to 30000/);
+  }
+});
+
+test('recording keeps the last capacity frames', () => {
+  reset();
+  assert.equal(command('start_recording', { capacity: 3 }).status, 'ok');
+  for (let i = 0; i < 5; i++) {
+    command('step', { dt: 0.01 });
+  }
+
+  const { frames, duration } = command('stop_recording', {});
+  assert.equal(frames, 3);
+  assert.ok(Math.abs(duration - 0.02) < 1e-9);
+
+  const { recording } = command('export_recording', { poses: false });
+  assert.equal(recording.frames.length, 3);
+});
+
+test('save_state and load_state round-trip, and a bad blob changes nothing', () => {
+  reset();
+  command('step', { dt: 0.05 });
+  const { state } = command('save_state', {});
+
+  command('step', { dt: 0.05 });
+  const loaded = command('load_state', { state });
+  assert.equal(loaded.status, 'ok');
+  assert.equal(loaded.time, state.time);
+
+  const bad = command('load_state', { state: { ...state, qpos: [0] } });
+  assert.equal(bad.status, 'error');
+  assert.equal(MujocoPhysics.data.time, state.time);
+});
+
+test('step_batch steps every entry and checks names first', () => {
+  reset();
+  const { states } = command('step_batch', {
+    entries: [{ targets: [0.5], dt: 0.01 }, { targets: { shoulder: 0.2 }, dt: 0.01 }]
+  });
+  assert.equal(states.length, 2);
+  assert.ok(Math.abs(states[1].time - 0.02) < 1e-9);
+  assert.equal(typeof states[1].joints.shoulder, 'number');
+
+  const time = MujocoPhysics.data.time;
+  const response = command('step_batch', { entries: [{ targets: [0.1], dt: 0.01 }, { targets: { elbow: 1 }, dt: 0.01 }] });
+  assert.deepEqual(response.unknown, ['elbow']);
+  assert.equal(MujocoPhysics.data.time, time);
+});
+
+test('set_model_params applies valid parameters only', () => {
+  const { params } = command('set_model_params', { gravity: [0, 0, -1.62], integrator: 'rk4' });
+  assert.deepEqual(params.gravity, [0, 0, -1.62]);
+  assert.equal(params.integrator, 'rk4');
+
+  const bad = command('set_model_params', { gravity: [0, 0, 0], integrator: 'leapfrog' });
+  assert.equal(bad.message, 'Unknown integrator: leapfrog');
+  assert.deepEqual(command('get_model_params', {}).params.gravity, [0, 0, -1.62]);
+
+  command('set_model_params', { gravity: [0, 0, -9.81], integrator: 'euler' });
+});
+
+test('set_model_params rejects values that would poison the model', () => {
+  const model = MujocoPhysics.model;
+  const mass = model.body_mass[MujocoPhysics.bodyIndex.box];
+
+  const cases = [
+    [{ body_mass: { world: 2 } }, 'Body has no mass to scale: world'],
+    [{ body_mass: { box: Infinity } }, 'Invalid mass for box: Infinity'],
+    [{ geom_friction: { wall: -0.5 } }, 'Invalid friction for wall: -0.5'],
+    [{ geom_friction: { wall: [1, NaN, 0] } }, 'Invalid friction for wall: 1,NaN,0'],
+    [{ actuator_gain: { shoulder: -10 } }, 'Invalid gain for shoulder: -10'],
+    [{ gravity: [0, 0, NaN] }, 'gravity must be [x, y, z]']
+  ];
+
+  for (const [params, message] of cases) {
+    assert.equal(command('set_model_params', { ...params, timestep: 0.001 }).message, message);
+  }
+
+  assert.equal(model.opt.timestep, TIMESTEP);
+  assert.equal(model.body_mass[MujocoPhysics.bodyIndex.box], mass);
+  assert.ok(Array.from(model.body_inertia).every(Number.isFinite));
+});
+
+test('set_mocap moves mocap bodies and rejects others', () => {
+  const { mocap } = command('set_mocap', { bodies: { target: { pos: [0.3, 0, 0.2], quat: [2, 0, 0, 0] } } });
+  assert.deepEqual(mocap.target, { pos: [0.3, 0, 0.2], quat: [1, 0, 0, 0] });
+
+  const bad = command('set_mocap', { bodies: { target: { pos: [1, 1, 1] }, box: { pos: [0, 0, 0] } } });
+  assert.equal(bad.message, 'Body is not a mocap body: box');
+  assert.deepEqual(command('get_mocap', {}).mocap.target.pos, [0.3, 0, 0.2]);
+});
+
+test('raycast_scan measures the distance to the wall', () => {
+  const scan = command('raycast_scan', { site: 'lidar', angle_min: -0.1, angle_max: 0.1, resolution: 0.1, max_range: 5 });
+  assert.equal(scan.ranges.length, 3);
+  assert.ok(Math.abs(scan.ranges[1] - 0.9) < 1e-6, `range ${scan.ranges[1]}`);
+  assert.equal(scan.geoms[1], 'wall');
+
+  const bad = command('raycast_scan', { max_range: 5 });
+  assert.equal(bad.message, 'raycast_scan needs either a site or a body');
+});
+
+test('advance stops at the first bound reached', () => {
+  reset();
+  assert.equal(MujocoPhysics.advance({ steps: 3 }), 3);
+  assert.equal(MujocoPhysics.advance({ until: 0.02 }), 7);
+  assert.ok(Math.abs(MujocoPhysics.data.time - 0.02) < 1e-9);
+  assert.equal(MujocoPhysics.advance({ until: 1, steps: 2 }), 2);
+  assert.throws(() => MujocoPhysics.advance({}), /advance needs until, steps or budget/);
+
+  // Robot clocks follow, so the next Elixir step starts from here
+  assert.ok(Math.abs(command('step', { dt: 0.01 }).time - 0.034) < 1e-9);
+});
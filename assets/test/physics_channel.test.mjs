@@ -0,0 +1,179 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { joinPhysicsChannels, RECONNECT_OPTIONS } from '../js/physics/physics_channel.js';
+
+// Stand-ins for a Phoenix Socket and its channels that record pushes and let
+// a test fire join replies, ready replies, channel errors and events
+function fakeSocket() {
+  const channels = {};
+
+  const socket = {
+    channel(topic) {
+      const channel = {
+        joinReplies: [],
+        readyReplies: [],
+        readyFailures: [],
+        pushes: [],
+        handlers: {},
+        on(event, callback) { this.handlers[event] = callback; },
+        onError(callback) { this.error = callback; },
+        onClose(callback) { this.close = callback; },
+        leave() { this.close(); },
+        join() {
+          const join = { receive: (status, callback) => {
+            if (status === 'ok') channel.joinReplies.push(callback);
+            return join;
+          } };
+          return join;
+        },
+        push(event, payload) {
+          channel.pushes.push([event, payload]);
+          const reply = { receive: (status, callback) => {
+            if (event !== 'physics:ready') return reply;
+            if (status === 'ok') channel.readyReplies.push(callback);
+            if (status === 'error') channel.readyFailures.push(callback);
+            return reply;
+          } };
+          return reply;
+        }
+      };
+      channels[topic.replace('mujoco:physics:', '')] = channel;
+      return channel;
+    },
+    onError: () => 'error-ref',
+    onClose: () => 'close-ref',
+    onOpen: () => 'open-ref',
+    off(refs) { this.offRefs = refs; }
+  };
+
+  return { socket, channels };
+}
+
+const MODEL_INFO = {
+  nq: 2,
+  nv: 2,
+  robots: { Arm: { nu: 2, sensors: [] }, Rover: { nu: 1, sensors: [] } }
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function join({ onStatus } = {}) {
+  const { socket, channels } = fakeSocket();
+  let time = 0;
+
+  const physics = joinPhysicsChannels(socket, MODEL_INFO, {
+    execute: async ({ cmd }) => {
+      assert.equal(cmd, 'get_state');
+      time += 0.5;
+      return { joints: [0.1], velocities: [0.0], time, modes: ['velocity'] };
+    },
+    onStatus
+  });
+
+  // Join (or rejoin) a robot's channel and wait for its physics:ready push
+  const joined = async (robot) => {
+    channels[robot].joinReplies[0]();
+    await tick();
+    return channels[robot].pushes.at(-1);
+  };
+
+  return { physics, socket, channels, joined };
+}
+
+test('ready is a resume, with the current state, only after a rejoin', async () => {
+  const { physics, channels, joined } = join();
+
+  const [event, ready] = await joined('Arm');
+  assert.equal(event, 'physics:ready');
+  assert.equal(ready.resume, false);
+  assert.equal(ready.nu, 2);
+
+  channels.Arm.error();
+  const [, resumed] = await joined('Arm');
+  assert.deepEqual(
+    { resume: resumed.resume, time: resumed.time, joints: resumed.joints, modes: resumed.modes },
+    { resume: true, time: 1.0, joints: [0.1], modes: ['velocity'] }
+  );
+
+  physics.leave();
+});
+
+test('driver status waits for every robot and follows the Simulations', async () => {
+  const statuses = [];
+  const { physics, channels, joined } = join({ onStatus: status => statuses.push(status) });
+
+  await joined('Arm');
+  await joined('Rover');
+  channels.Arm.readyReplies[0]({ encoding: 'json', driving: false });
+  assert.equal(physics.driverStatus(), 'connecting');
+
+  channels.Rover.readyReplies[0]({ encoding: 'json', driving: false });
+  assert.equal(physics.driverStatus(), 'free');
+
+  // A dropped channel is reconnecting until its ready is answered again
+  channels.Rover.error();
+  assert.equal(physics.driverStatus(), 'connecting');
+  await joined('Rover');
+  channels.Rover.readyReplies[1]({ encoding: 'binary', driving: true });
+  assert.equal(physics.driverStatus(), 'elixir');
+
+  channels.Rover.handlers['physics:driving']({ driving: false });
+  assert.equal(physics.driverStatus(), 'free');
+
+  // Leaving reports nothing more
+  physics.leave();
+  assert.deepEqual(statuses, ['connecting', 'free', 'connecting', 'elixir', 'free']);
+});
+
+test('a failed ready counts as free and is re-sent with backoff', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    const { physics, channels, joined } = join();
+    await joined('Arm');
+    await joined('Rover');
+    channels.Rover.readyReplies[0]({ encoding: 'json', driving: false });
+
+    channels.Arm.readyFailures[0]({ reason: 'crashed' });
+    assert.equal(physics.driverStatus(), 'free');
+
+    mock.timers.tick(99);
+    await tick();
+    assert.equal(channels.Arm.pushes.length, 1);
+
+    mock.timers.tick(1);
+    await tick();
+    const [event, ready] = channels.Arm.pushes.at(-1);
+    assert.equal(event, 'physics:ready');
+    assert.equal(ready.resume, true);
+
+    channels.Arm.readyReplies[1]({ encoding: 'json', driving: true });
+    assert.equal(physics.driverStatus(), 'elixir');
+
+    // A second failure after a success starts the backoff over
+    channels.Arm.readyFailures[1]({ reason: 'crashed' });
+    mock.timers.tick(100);
+    await tick();
+    assert.equal(channels.Arm.pushes.length, 3);
+
+    // Nothing is re-sent after leaving
+    channels.Arm.readyFailures[2]({ reason: 'crashed' });
+    physics.leave();
+    mock.timers.tick(5000);
+    await tick();
+    assert.equal(channels.Arm.pushes.length, 3);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('leave removes the socket callbacks', () => {
+  const { physics, socket } = join();
+  physics.leave();
+  assert.deepEqual(socket.offRefs, ['error-ref', 'close-ref', 'open-ref']);
+});
+
+test('reconnect backoff grows and then holds', () => {
+  const delays = [1, 2, 3, 4, 5, 6, 20].map(RECONNECT_OPTIONS.reconnectAfterMs);
+  assert.deepEqual(delays, [100, 500, 1000, 2000, 5000, 5000, 5000]);
+  assert.equal(RECONNECT_OPTIONS.rejoinAfterMs, RECONNECT_OPTIONS.reconnectAfterMs);
+});
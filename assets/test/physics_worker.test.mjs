@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveModel, ROBOT, MujocoPhysics } from './support/physics.mjs';
+
+const MJCF = `
+<mujoco>
+  <worldbody>
+    <body name="arm">
+      <joint name="shoulder" type="hinge"/>
+      <geom type="capsule" fromto="0 0 0 0.3 0 0" size="0.02"/>
+    </body>
+  </worldbody>
+  <actuator>
+    <position name="shoulder" joint="shoulder"/>
+  </actuator>
+</mujoco>`;
+
+// The worker's global scope: messages it posts are collected per id
+const replies = {};
+const waiting = {};
+
+globalThis.self = {
+  postMessage(message) {
+    if (message.type === 'progress') return;
+    replies[message.id] = message;
+    waiting[message.id]?.(message);
+  }
+};
+
+await import('../js/workers/physics_worker.js');
+
+function send(message) {
+  const reply = new Promise(resolve => { waiting[message.id] = resolve; });
+  self.onmessage({ data: message });
+  return reply;
+}
+
+before(() => {
+  serveModel(MJCF);
+});
+
+test('a command before any model is loaded says so', async () => {
+  const reply = await send({ id: 1, type: 'command', robot: ROBOT, command: { cmd: 'get_joints', id: 1 } });
+  assert.deepEqual(reply, { id: 1, type: 'error', message: 'Model not loaded' });
+});
+
+test('messages sent during a load wait for the model', async () => {
+  const loaded = send({ id: 2, type: 'load', robot: ROBOT });
+  const command = send({ id: 3, type: 'command', robot: ROBOT, command: { cmd: 'get_joints', id: 3, params: {} } });
+  const run = send({ id: 4, type: 'run', steps: 5 });
+
+  assert.equal((await loaded).type, 'loaded');
+  assert.equal((await command).response.status, 'ok');
+  assert.equal((await run).time, 5 * MujocoPhysics.model.opt.timestep);
+});
@@ -0,0 +1,42 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModel, MujocoPhysics } from './support/physics.mjs';
+
+// Two robots whose prefixes overlap: "arm" is also the start of "arm2/"
+const MJCF = `
+<mujoco>
+  <custom>
+    <text name="bb_robot:Arm" data="arm"/>
+    <text name="bb_robot:Arm2" data="arm2/"/>
+  </custom>
+  <worldbody>
+    <body name="arm_link">
+      <joint name="arm_joint" type="hinge"/>
+      <geom type="sphere" size="0.1"/>
+      <site name="arm_site"/>
+    </body>
+    <body name="arm2/link" pos="1 0 0">
+      <joint name="arm2/joint" type="hinge"/>
+      <geom type="sphere" size="0.1"/>
+      <site name="arm2/site"/>
+    </body>
+  </worldbody>
+  <actuator>
+    <position name="arm2/joint_pos" joint="arm2/joint"/>
+    <position name="arm_joint_pos" joint="arm_joint"/>
+  </actuator>
+  <sensor>
+    <framepos name="arm2/pos" objtype="site" objname="arm2/site"/>
+    <framepos name="arm_pos" objtype="site" objname="arm_site"/>
+  </sensor>
+</mujoco>`;
+
+before(async () => {
+  await loadModel(MJCF);
+});
+
+test('each name belongs to the robot with the longest matching prefix', () => {
+  const { Arm, Arm2 } = MujocoPhysics.robots;
+  assert.deepEqual({ actuators: Arm.actuators, sensors: Arm.sensors }, { actuators: [1], sensors: [1] });
+  assert.deepEqual({ actuators: Arm2.actuators, sensors: Arm2.sensors }, { actuators: [0], sensors: [0] });
+});
@@ -0,0 +1,56 @@
+/**
+ * Test support: loads MJCF into MujocoPhysics with the Node build of MuJoCo
+ * WASM, serving the model and its assets from a stubbed fetch in place of
+ * the Phoenix MJCF API.
+ */
+
+import loadMujoco from 'mujoco-js';
+import MujocoPhysics from '../../js/physics/mujoco_physics.js';
+
+const BASE_URL = 'http://physics.test';
+export const ROBOT = 'TestRobot';
+
+// Serve `mjcf` to MujocoPhysics.load from a stubbed fetch. `assets` maps
+// asset paths to their contents (string or Uint8Array); every one of them is
+// listed. Returns the URLs fetched, in order (filled in as they are).
+export function serveModel(mjcf, { assets = {} } = {}) {
+  const fetched = [];
+  const mjcfUrl = `${BASE_URL}/api/mujoco/mjcf/${ROBOT}`;
+
+  globalThis.fetch = async (url) => {
+    fetched.push(url);
+
+    if (url === mjcfUrl) {
+      return new Response(mjcf);
+    }
+    if (url === `${mjcfUrl}/assets`) {
+      return Response.json({ assets: Object.keys(assets), hashes: {} });
+    }
+
+    const asset = url.slice(`${mjcfUrl}/assets/`.length);
+    return asset in assets
+      ? new Response(assets[asset])
+      : new Response(null, { status: 404, statusText: 'Not Found' });
+  };
+
+  MujocoPhysics.baseUrl = BASE_URL;
+  MujocoPhysics.loadMujoco = loadMujoco;
+
+  return fetched;
+}
+
+// Load `mjcf` (see serveModel); returns the URLs fetched
+export async function loadModel(mjcf, { assets = {}, onProgress = null } = {}) {
+  const fetched = serveModel(mjcf, { assets });
+  MujocoPhysics.onProgress = onProgress;
+  await MujocoPhysics.load(ROBOT);
+
+  return fetched;
+}
+
+// Run a command the way the physics channel does
+export function command(cmd, params) {
+  return MujocoPhysics.handleCommand({ cmd, id: 1, params });
+}
+
+export { MujocoPhysics };
@@ -26,7 +26,14 @@ config :esbuild,
   version: "0.25.4",
   bb_mujoco: [
     args:
-      ~w(js/app.js --bundle --target=es2022 --outdir=../priv/static/assets/js --external:/fonts/* --external:/images/* --external:/vendor/* --alias:@=.),
+      ~w(js/app.js js/workers/physics_worker.js --bundle --target=es2022 --outdir=../priv/static/assets/js --external:/fonts/* --external:/images/* --external:/vendor/* --alias:@=.),
+    cd: Path.expand("../assets", __DIR__),
+    env: %{"NODE_PATH" => [Path.expand("../deps", __DIR__), Mix.Project.build_path()]}
+  ],
+  # Headless Node.js physics server (mujoco-js comes from assets/node_modules)
+  headless: [
+    args:
+      ~w(js/headless/physics_server.js --bundle --platform=node --format=esm --target=node20 --outdir=../priv/headless --out-extension:.js=.mjs --external:/vendor/*),
     cd: Path.expand("../assets", __DIR__),
     env: %{"NODE_PATH" => [Path.expand("../deps", __DIR__), Mix.Project.build_path()]}
   ]
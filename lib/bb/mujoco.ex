@@ -31,7 +31,9 @@ defmodule BB.Mujoco do
 
   - `BB.Mujoco.Bridge` - GenServer coordinating Elixir ↔ browser physics
   - `BB.Mujoco.Channel` - Phoenix Channel for bidirectional communication
+  - `BB.Mujoco.Binary` - Binary framing for high-rate step commands
   - `BB.Mujoco.Exporter` - Converts BB robot definitions to MJCF XML
+  - `BB.Mujoco.Scene` - Multi-robot scenes composed into one MJCF world
   - `BB.Mujoco.SimulationController` - 50Hz control loop
 
   ## Message Protocol
@@ -41,9 +43,20 @@ defmodule BB.Mujoco do
   - `set_joints(joints)` - Set motor control targets
   - `step(dt)` - Advance physics by dt seconds
   - `get_joints()` - Get current joint positions
+  - `get_sensors()` - Get sensor readings keyed by sensor name
+  - `get_camera_image(camera)` - Render an MJCF camera (answered by the viewer hook)
+  - `set_model_params(params)` - Edit gravity, timestep, integrator, friction, masses, gains
+  - `set_control_mode(modes)` - Per-joint position, velocity or effort control
+  - `set_mocap(bodies)` / `get_mocap()` - Move and read mocap bodies by name
+  - `get_contacts()` - List active contacts with names, positions and forces
+  - `raycast_scan(opts)` - Planar LiDAR scan (ranges and hit geoms) from a site or body
   - `reset()` - Reset simulation to initial state
+  - `save_state()` / `load_state(state)` - Snapshot and restore full state
+  - `apply_force(body, force, torque)` / `clear_forces()` - External wrenches
 
   Responses from browser include joint positions, velocities, and simulation time.
+  `step_with_targets` responses also carry sensor readings when the model
+  defines any `<sensor>` elements.
   """
 
   @doc """
@@ -0,0 +1,94 @@
+defmodule BB.Mujoco.Binary do
+  @moduledoc """
+  Binary framing for high-rate physics commands.
+
+  JSON-encoding joint arrays on every `step_with_targets` round-trip dominates
+  the cost of the 50Hz control loop for larger arms. When the browser offers
+  it at `physics:ready`, `BB.Mujoco.Bridge` sends `step` and
+  `step_with_targets` as packed little-endian frames instead. All other
+  commands, and any error response, stay JSON.
+
+  Both directions share an 8-byte header:
+
+      u8 cmd | u8 reserved | u16 count | u32 id
+
+  ## Command (Elixir → Browser)
+
+      header (count = number of targets) | f64 dt | f64 × count targets
+
+  ## Response (Browser → Elixir)
+
+      header (count = nu) | f64 time | f64 × nu joints | f64 × nu velocities
+      | f64 × n sensordata (to the end of the frame)
+
+  Sensor values are mapped back to names with the sensor layout the browser
+  reports at `physics:ready`, so decoded responses have the same shape as
+  their JSON equivalents.
+  """
+
+  @step 1
+  @step_with_targets 2
+
+  @doc """
+  Encode a command as a binary frame.
+
+  Returns `:error` for commands (or named targets) that have no binary form.
+  """
+  @spec encode_command(String.t(), non_neg_integer(), map()) :: {:ok, binary()} | :error
+  def encode_command("step", id, %{dt: dt}) do
+    {:ok, <<@step, 0, 0::little-16, id::little-32, dt * 1.0::little-float-64>>}
+  end
+
+  def encode_command("step_with_targets", id, %{targets: targets, dt: dt}) when is_list(targets) do
+    packed = for target <- targets, into: <<>>, do: <<target * 1.0::little-float-64>>
+
+    {:ok,
+     <<@step_with_targets, 0, length(targets)::little-16, id::little-32,
+       dt * 1.0::little-float-64, packed::binary>>}
+  end
+
+  def encode_command(_cmd, _id, _params), do: :error
+
+  @doc """
+  Decode a binary response frame into the map a JSON response would produce.
+
+  `sensor_layout` is the list of `%{"name" => ..., "type" => ..., "dim" => ...}`
+  maps reported at `physics:ready`.
+  """
+  @spec decode_response(binary(), [map()]) :: {:ok, map()} | {:error, term()}
+  def decode_response(
+        <<cmd, _reserved, nu::little-16, id::little-32, time::little-float-64, rest::binary>>,
+        sensor_layout
+      )
+      when cmd in [@step, @step_with_targets] and byte_size(rest) >= nu * 16 do
+    joint_bytes = nu * 8
+    <<joints::binary-size(joint_bytes), velocities::binary-size(joint_bytes), sensordata::binary>> = rest
+
+    response = %{
+      "id" => id,
+      "status" => "ok",
+      "joints" => unpack(joints),
+      "velocities" => unpack(velocities),
+      "time" => time
+    }
+
+    {:ok, put_sensors(response, unpack(sensordata), sensor_layout)}
+  end
+
+  def decode_response(_frame, _sensor_layout), do: {:error, :invalid_frame}
+
+  defp unpack(bytes), do: for(<<value::little-float-64 <- bytes>>, do: value)
+
+  defp put_sensors(response, [], _layout), do: response
+
+  defp put_sensors(response, values, layout) do
+    {sensors, _rest} =
+      Enum.reduce(layout, {%{}, values}, fn sensor, {acc, remaining} ->
+        {reading, remaining} = Enum.split(remaining, sensor["dim"])
+        reading = %{"type" => sensor["type"], "values" => reading}
+        {Map.put(acc, sensor["name"], reading), remaining}
+      end)
+
+    Map.put(response, "sensors", sensors)
+  end
+end
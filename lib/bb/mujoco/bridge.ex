@@ -25,13 +25,48 @@ defmodule BB.Mujoco.Bridge do
       # Step physics (called by simulation controller)
       {:ok, state} = BB.Mujoco.Bridge.step(MyRobot, 0.02)
       #=> %{joints: [...], velocities: [...], time: 1.234}
+
+  ## Joint Addressing
+
+  Targets can be a positional list (MJCF actuator order) or a map keyed by
+  joint or actuator name. Named targets return named results, and unknown
+  names are rejected with `{:error, {:unknown_joints, names}}`:
+
+      BB.Mujoco.Bridge.step_with_targets(MyRobot, %{"pan_joint" => 0.5}, 0.02)
+      #=> {:ok, %{joints: %{"pan_joint" => 0.49, "tilt_joint" => 0.0}, ...}}
+
+  What a target means depends on the joint's control mode (position by
+  default; see `set_control_mode/2`).
+
+  ## Encoding
+
+  Commands are JSON by default. If the browser offers binary framing at
+  `physics:ready`, positional `step` and `step_with_targets` commands switch
+  to the packed format described in `BB.Mujoco.Binary`. Results are the same
+  either way.
+
+  ## Reconnection
+
+  The browser rejoins its channel with backoff after a WebSocket drop, and
+  re-sends `physics:ready` with `"resume" => true` and its current `time`,
+  `joints`, `velocities` and control `modes`. The bridge picks up where it left off: the
+  resumed state becomes the cached state, and `{:mujoco_resumed, state}` is
+  broadcast on `"mujoco:<robot>"` so `BB.Mujoco.Simulation` can resync its
+  clock and joint state instead of resetting. Commands issued while the
+  channel was down fail with `{:error, :disconnected}`.
   """
 
   use GenServer
   require Logger
 
+  alias BB.Mujoco.Binary
+
   @type state :: :disconnected | :connecting | :connected | :degraded
+  @type targets :: [float()] | %{optional(String.t() | atom()) => float()}
   @command_timeout 100
+  @export_timeout 5_000
+  @batch_timeout 2_000
+  @camera_timeout 1_000
 
   # Client API
 
@@ -48,9 +83,23 @@ defmodule BB.Mujoco.Bridge do
     GenServer.call(via(robot), {:register_channel, channel_pid})
   end
 
-  @doc "Set joint targets (ctrl array in MuJoCo)"
-  @spec set_joints(module(), [float()]) :: :ok | {:error, term()}
-  def set_joints(robot, joints) when is_list(joints) do
+  @doc """
+  Negotiate the command encoding from the browser's `physics:ready` payload.
+
+  A payload with `"resume" => true` (sent when the browser rejoins after a
+  dropped connection) also resyncs the cached state from its `time`, `joints`,
+  `velocities` and `modes`. Otherwise every actuator starts in position mode.
+
+  Returns the encoding the bridge will use, `"binary"` or `"json"`.
+  """
+  @spec negotiate(module(), map()) :: String.t()
+  def negotiate(robot, ready_params) do
+    GenServer.call(via(robot), {:negotiate, ready_params})
+  end
+
+  @doc "Set joint targets (ctrl array in MuJoCo), positionally or by name"
+  @spec set_joints(module(), targets()) :: :ok | {:error, term()}
+  def set_joints(robot, joints) when is_list(joints) or is_map(joints) do
     GenServer.call(via(robot), {:set_joints, joints}, @command_timeout * 2)
   end
 
@@ -61,27 +110,320 @@ defmodule BB.Mujoco.Bridge do
   end
 
   @doc "Step physics with targets in one call (more efficient)"
-  @spec step_with_targets(module(), [float()], float()) :: {:ok, map()} | {:error, term()}
+  @spec step_with_targets(module(), targets(), float()) :: {:ok, map()} | {:error, term()}
   def step_with_targets(robot, targets, dt) do
     GenServer.call(via(robot), {:step_with_targets, targets, dt}, @command_timeout * 2)
   end
 
-  @doc "Get current joint positions"
-  @spec get_joints(module()) :: {:ok, [float()]} | {:error, term()}
-  def get_joints(robot) do
-    GenServer.call(via(robot), :get_joints, @command_timeout * 2)
+  @doc """
+  Run several steps in one round-trip.
+
+  Each entry is `{targets, dt}` (or a `%{targets: ..., dt: ...}` map; targets
+  may be omitted to hold the current ctrl). Returns `%{states: [...]}` with the
+  joints, velocities, time (and sensors) sampled after every entry.
+
+  ## Options
+
+  - `:timeout` - Milliseconds to wait for the whole batch (default 2000)
+  """
+  @spec step_batch(module(), [{targets(), float()} | map()], keyword()) ::
+          {:ok, map()} | {:error, term()}
+  def step_batch(robot, entries, opts \\ []) when is_list(entries) do
+    entries = Enum.map(entries, &batch_entry/1)
+    timeout = Keyword.get(opts, :timeout, @batch_timeout)
+    GenServer.call(via(robot), {:step_batch, %{entries: entries}, timeout}, timeout * 2)
+  end
+
+  @doc """
+  Apply a ctrl trajectory, one row per `dt`, in a single round-trip.
+
+  Equivalent to `step_batch/3` with the same `dt` for every row.
+  """
+  @spec step_trajectory(module(), [[float()]], float(), keyword()) ::
+          {:ok, map()} | {:error, term()}
+  def step_trajectory(robot, ctrl, dt, opts \\ []) when is_list(ctrl) do
+    timeout = Keyword.get(opts, :timeout, @batch_timeout)
+    params = %{trajectory: %{ctrl: ctrl, dt: dt}}
+    GenServer.call(via(robot), {:step_batch, params, timeout}, timeout * 2)
+  end
+
+  @doc """
+  Get current joint positions.
+
+  Pass `named: true` to get a map keyed by joint name instead of a list.
+  """
+  @spec get_joints(module(), keyword()) :: {:ok, map()} | {:error, term()}
+  def get_joints(robot, opts \\ []) do
+    GenServer.call(via(robot), {:get_joints, named?(opts)}, @command_timeout * 2)
+  end
+
+  @doc """
+  Get current velocities.
+
+  Pass `named: true` to get a map keyed by joint name instead of a list.
+  """
+  @spec get_velocities(module(), keyword()) :: {:ok, map()} | {:error, term()}
+  def get_velocities(robot, opts \\ []) do
+    GenServer.call(via(robot), {:get_velocities, named?(opts)}, @command_timeout * 2)
   end
 
-  @doc "Get current velocities"
-  @spec get_velocities(module()) :: {:ok, [float()]} | {:error, term()}
-  def get_velocities(robot) do
-    GenServer.call(via(robot), :get_velocities, @command_timeout * 2)
+  @doc """
+  Get current sensor readings, keyed by MJCF sensor name.
+
+  Each entry is a map with the sensor `"type"` (e.g. `"accelerometer"`,
+  `"touch"`, `"jointpos"`) and its `"values"` list.
+  """
+  @spec get_sensors(module()) :: {:ok, map()} | {:error, term()}
+  def get_sensors(robot) do
+    GenServer.call(via(robot), :get_sensors, @command_timeout * 2)
   end
 
-  @doc "Reset simulation to initial state"
-  @spec reset(module()) :: :ok | {:error, term()}
-  def reset(robot) do
-    GenServer.call(via(robot), :reset, @command_timeout * 2)
+  @doc """
+  Start recording every physics step into the browser's ring buffer.
+
+  ## Options
+
+  - `:capacity` - Number of frames kept before the oldest is overwritten
+    (default 3000, one minute at 50Hz; at most 30000)
+  """
+  @spec start_recording(module(), keyword()) :: {:ok, map()} | {:error, term()}
+  def start_recording(robot, opts \\ []) do
+    params = Map.new(Keyword.take(opts, [:capacity]))
+    GenServer.call(via(robot), {:start_recording, params}, @command_timeout * 2)
+  end
+
+  @doc "Stop recording, returning `%{frames: count, duration: seconds}`"
+  @spec stop_recording(module()) :: {:ok, map()} | {:error, term()}
+  def stop_recording(robot) do
+    GenServer.call(via(robot), :stop_recording, @command_timeout * 2)
+  end
+
+  @doc """
+  Export the recorded trajectory.
+
+  Returns `%{recording: %{"frames" => [...], ...}}` where each frame has
+  `"time"`, `"qpos"`, `"qvel"` and `"ctrl"`.
+
+  ## Options
+
+  - `:poses` - Also include body poses (`"xpos"`/`"xquat"`) per frame
+  """
+  @spec export_recording(module(), keyword()) :: {:ok, map()} | {:error, term()}
+  def export_recording(robot, opts \\ []) do
+    params = %{poses: Keyword.get(opts, :poses, false)}
+    GenServer.call(via(robot), {:export_recording, params}, @export_timeout * 2)
+  end
+
+  @doc """
+  Capture the complete simulation state.
+
+  Returns `%{state: blob}` where the blob holds `qpos`, `qvel`, `act`, `ctrl`,
+  `qacc_warmstart`, `mocap_pos`, `mocap_quat` and `time`. It is plain JSON
+  data, so it can be stored and later passed back to `load_state/2`.
+  """
+  @spec save_state(module()) :: {:ok, map()} | {:error, term()}
+  def save_state(robot) do
+    GenServer.call(via(robot), :save_state, @command_timeout * 2)
+  end
+
+  @doc """
+  Restore a state captured with `save_state/1`.
+
+  Fails without changing the simulation if the blob does not match the
+  loaded model's dimensions.
+  """
+  @spec load_state(module(), map()) :: {:ok, map()} | {:error, term()}
+  def load_state(robot, blob) when is_map(blob) do
+    GenServer.call(via(robot), {:load_state, blob}, @command_timeout * 2)
+  end
+
+  @doc """
+  Apply an external force and/or torque to a body, by name or index.
+
+  The wrench acts at the body's center of mass and is held across steps until
+  cleared with `clear_forces/2`, replaced by another `apply_force/3` on the same
+  body, or the simulation is reset.
+
+  ## Options
+
+  - `:force` - `[fx, fy, fz]` in newtons, default `[0, 0, 0]`
+  - `:torque` - `[tx, ty, tz]` in newton-meters, default `[0, 0, 0]`
+  - `:frame` - `:world` (default) or `:body` for vectors in the body's local frame
+  - `:duration` - seconds of simulation time before the wrench expires;
+    `nil` (default) keeps it until cleared
+  """
+  @spec apply_force(module(), String.t() | non_neg_integer(), keyword()) :: {:ok, map()} | {:error, term()}
+  def apply_force(robot, body, opts \\ []) do
+    params = %{
+      body: body,
+      force: Keyword.get(opts, :force, [0.0, 0.0, 0.0]),
+      torque: Keyword.get(opts, :torque, [0.0, 0.0, 0.0]),
+      frame: to_string(Keyword.get(opts, :frame, :world)),
+      duration: Keyword.get(opts, :duration)
+    }
+
+    GenServer.call(via(robot), {:apply_force, params}, @command_timeout * 2)
+  end
+
+  @doc "Remove the external wrench from one body, or from every body when `body` is `nil`"
+  @spec clear_forces(module(), String.t() | non_neg_integer() | nil) :: {:ok, map()} | {:error, term()}
+  def clear_forces(robot, body \\ nil) do
+    GenServer.call(via(robot), {:clear_forces, body}, @command_timeout * 2)
+  end
+
+  @doc """
+  Change physics parameters on the live model, without reloading it.
+
+  Only the given parameters change. Every name and value is checked before
+  anything is written, so one bad entry leaves the model untouched. Returns
+  the resulting `%{params: %{"gravity" => ..., "timestep" => ..., "integrator" => ...}}`.
+
+  ## Parameters
+
+  - `:gravity` - `[x, y, z]` in m/s² (MuJoCo frame, Z-up)
+  - `:timestep` - Physics timestep in seconds
+  - `:integrator` - `:euler`, `:rk4`, `:implicit` or `:implicitfast`
+  - `:geom_friction` - `%{geom_name => sliding | [sliding, torsional, rolling]}`
+  - `:body_mass` - `%{body_name => kg}` (inertia is scaled along with the mass,
+    so a body without mass, such as the world body, can't be given one)
+  - `:actuator_gain` - `%{joint_or_actuator_name => kp}` (position servos keep
+    their bias consistent)
+
+      Bridge.set_model_params(MyRobot, gravity: [0.0, 0.0, -1.62], body_mass: %{"link2" => 0.8})
+  """
+  @spec set_model_params(module(), keyword() | map()) :: {:ok, map()} | {:error, term()}
+  def set_model_params(robot, params) when is_list(params) or is_map(params) do
+    params =
+      Map.new(params, fn
+        {:integrator, integrator} -> {:integrator, to_string(integrator)}
+        other -> other
+      end)
+
+    GenServer.call(via(robot), {:set_model_params, params}, @command_timeout * 2)
+  end
+
+  @doc "Get the live model's gravity, timestep and integrator"
+  @spec get_model_params(module()) :: {:ok, map()} | {:error, term()}
+  def get_model_params(robot) do
+    GenServer.call(via(robot), :get_model_params, @command_timeout * 2)
+  end
+
+  @doc """
+  Move mocap bodies (declared with `mocap="true"` in MJCF), keyed by body name.
+
+  Each pose is a map with `:pos` (`[x, y, z]`) and/or `:quat` (`[w, x, y, z]`,
+  normalized before use) in MuJoCo's Z-up world frame; a missing key keeps
+  the current value. Returns the updated poses like `get_mocap/1`. An unknown
+  or non-mocap body fails the call without moving any body.
+
+      Bridge.set_mocap(MyRobot, %{"target" => %{pos: [0.3, 0.0, 0.2]}})
+  """
+  @spec set_mocap(module(), map()) :: {:ok, map()} | {:error, term()}
+  def set_mocap(robot, bodies) when is_map(bodies) do
+    GenServer.call(via(robot), {:set_mocap, bodies}, @command_timeout * 2)
+  end
+
+  @doc """
+  Get mocap body poses as `%{mocap: %{name => %{"pos" => [...], "quat" => [...]}}}`.
+  """
+  @spec get_mocap(module()) :: {:ok, map()} | {:error, term()}
+  def get_mocap(robot) do
+    GenServer.call(via(robot), :get_mocap, @command_timeout * 2)
+  end
+
+  @doc """
+  List the active contacts from the last step.
+
+  Each contact is a map with the `"geom1"`/`"geom2"` and `"body1"`/`"body2"`
+  names, the world-frame `"position"`, `"normal"` (pointing from geom1 to
+  geom2) and `"force"`, the scalar `"normal_force"` and the penetration
+  `"distance"` (negative when overlapping).
+  """
+  @spec get_contacts(module()) :: {:ok, map()} | {:error, term()}
+  def get_contacts(robot) do
+    GenServer.call(via(robot), :get_contacts, @command_timeout * 2)
+  end
+
+  @doc """
+  Simulate a planar laser scanner by ray casting from a site or body.
+
+  Rays fan out in the XY plane of the sensor's frame, at angles measured from
+  its +X axis about +Z, and hit any geom except the sensor's own body.
+  Returns `%{sensor:, angle_min:, angle_increment:, max_range:, ranges:,
+  geoms:, time:}` with one range in meters and one hit geom name per ray,
+  both `nil` where nothing was hit within `max_range`.
+
+  ## Options
+
+  - `:site` / `:body` - Sensor frame, by name (a body may also be given by
+    index; exactly one is required)
+  - `:angle_min` / `:angle_max` - Scan limits in radians, default -π..π
+  - `:resolution` - Angle between rays in radians, default 1°
+  - `:max_range` - Maximum range in meters, default 10
+  - `:groups` - Geom groups the rays can hit, default all
+
+      Bridge.raycast_scan(MyRobot, site: "lidar", angle_min: -2.0, angle_max: 2.0, max_range: 8.0)
+  """
+  @spec raycast_scan(module(), keyword()) :: {:ok, map()} | {:error, term()}
+  def raycast_scan(robot, opts) do
+    params =
+      opts
+      |> Keyword.take([:site, :body, :angle_min, :angle_max, :resolution, :max_range, :groups])
+      |> Map.new()
+
+    GenServer.call(via(robot), {:raycast_scan, params}, @command_timeout * 2)
+  end
+
+  @doc """
+  Render an image from one of the model's MJCF `<camera>` elements.
+
+  The camera is addressed by name or index. Returns `%{camera: name, width:,
+  height:, time:, rgb: binary}` where `rgb` is 8-bit RGB, row-major from the
+  top-left pixel. With `depth: true` the map also has `depth`: little-endian
+  float32 distances along the view axis in meters (0 where nothing was hit).
+
+  ## Options
+
+  - `:width` / `:height` - Image size in pixels, default 320×240
+  - `:depth` - Also render depth, default `false`
+  - `:timeout` - Milliseconds to wait for the render (default 1000)
+  """
+  @spec get_camera_image(module(), String.t() | non_neg_integer(), keyword()) ::
+          {:ok, map()} | {:error, term()}
+  def get_camera_image(robot, camera, opts \\ []) do
+    params = %{
+      camera: camera,
+      width: Keyword.get(opts, :width, 320),
+      height: Keyword.get(opts, :height, 240),
+      depth: Keyword.get(opts, :depth, false)
+    }
+
+    timeout = Keyword.get(opts, :timeout, @camera_timeout)
+
+    with {:ok, image} <- GenServer.call(via(robot), {:get_camera_image, params, timeout}, timeout * 2) do
+      {:ok,
+       image
+       |> Map.update!(:rgb, &Base.decode64!/1)
+       |> Map.update(:depth, nil, &Base.decode64!/1)}
+    end
+  end
+
+  @doc """
+  Reset simulation to initial state.
+
+  Pass a keyframe name or index to reset to that MJCF `<key>` instead of the
+  model's zero configuration. The reply carries the resulting `joints`,
+  `velocities`, `targets` (actuator ctrl) and `time`.
+  """
+  @spec reset(module(), String.t() | non_neg_integer() | nil) :: {:ok, map()} | {:error, term()}
+  def reset(robot, keyframe \\ nil) do
+    GenServer.call(via(robot), {:reset, keyframe}, @command_timeout * 2)
+  end
+
+  @doc "List the model's keyframes as `%{\"name\" => ..., \"index\" => ..., \"time\" => ...}` maps"
+  @spec list_keyframes(module()) :: {:ok, map()} | {:error, term()}
+  def list_keyframes(robot) do
+    GenServer.call(via(robot), :list_keyframes, @command_timeout * 2)
   end
 
   @doc "Check if browser physics is connected"
@@ -92,14 +434,45 @@ defmodule BB.Mujoco.Bridge do
     :exit, _ -> false
   end
 
-  @doc "Get current state (joints + velocities)"
+  @doc """
+  Switch joints between control modes, positionally (actuator order) or by
+  joint or actuator name. The mode decides what a joint's targets mean:
+
+  - `:position` - joint position (the default; the actuator's PD servo)
+  - `:velocity` - joint velocity, tracked with the servo's damping gain (kv)
+  - `:effort` - joint torque in N·m (force in N for slide joints)
+
+  A switched joint's target is reset so it doesn't jump: position mode holds
+  the current pose, the others start at zero. Modes last until changed (a
+  reset keeps them) and are reported by `get_state/1` as `:modes`.
+
+  An actuator's MJCF `ctrlrange` only clamps targets in position mode. Its
+  `forcerange` applies in every mode, so it caps effort targets and the
+  force velocity mode can use.
+
+      Bridge.set_control_mode(MyRobot, %{"left_wheel" => :velocity, "right_wheel" => :velocity})
+      #=> {:ok, %{modes: ["velocity", "velocity"]}}
+  """
+  @spec set_control_mode(module(), [atom() | String.t()] | map()) ::
+          {:ok, map()} | {:error, term()}
+  def set_control_mode(robot, modes) when is_list(modes) do
+    modes = Enum.map(modes, &to_string/1)
+    GenServer.call(via(robot), {:set_control_mode, modes}, @command_timeout * 2)
+  end
+
+  def set_control_mode(robot, modes) when is_map(modes) do
+    modes = Map.new(modes, fn {joint, mode} -> {joint, to_string(mode)} end)
+    GenServer.call(via(robot), {:set_control_mode, modes}, @command_timeout * 2)
+  end
+
+  @doc "Get current state (joints, velocities, time and control modes)"
   @spec get_state(module()) :: {:ok, map()} | {:error, term()}
   def get_state(robot) do
     GenServer.call(via(robot), :get_state, @command_timeout * 2)
   end
 
-  @doc "Handle response from browser channel"
-  @spec handle_response(module(), map()) :: :ok
+  @doc "Handle response from browser channel (a JSON map or `{:binary, frame}`)"
+  @spec handle_response(module(), map() | {:binary, binary()}) :: :ok
   def handle_response(robot, response) do
     GenServer.cast(via(robot), {:response, response})
   end
@@ -116,7 +489,10 @@ defmodule BB.Mujoco.Bridge do
       channel_pid: nil,
       pending_calls: %{},
       call_counter: 0,
-      last_state: nil
+      last_state: nil,
+      encoding: :json,
+      sensor_layout: [],
+      control_modes: nil
     }
 
     Logger.info("[BB.Mujoco.Bridge] Started for #{inspect(robot)}")
@@ -142,7 +518,26 @@ defmodule BB.Mujoco.Bridge do
       :exit, _ -> :ok  # Simulation might not be started yet
     end
 
-    {:reply, :ok, %{state | status: :connected, channel_pid: channel_pid}}
+    {:reply, :ok,
+     %{state | status: :connected, channel_pid: channel_pid, encoding: :json, sensor_layout: []}}
+  end
+
+  def handle_call({:negotiate, params}, _from, state) do
+    encoding = if params["binary"] == true, do: :binary, else: :json
+    Logger.info("[BB.Mujoco.Bridge] Using #{encoding} encoding")
+
+    state = %{state | encoding: encoding, sensor_layout: params["sensors"] || []}
+
+    # A fresh load starts every joint in position mode; a resume keeps the
+    # browser's modes
+    state =
+      if params["resume"] == true do
+        resume(state, params)
+      else
+        %{state | control_modes: default_modes(params)}
+      end
+
+    {:reply, Atom.to_string(encoding), state}
   end
 
   def handle_call({:set_joints, joints}, from, state) do
@@ -157,31 +552,122 @@ defmodule BB.Mujoco.Bridge do
     send_command(state, "step_with_targets", %{targets: targets, dt: dt}, from)
   end
 
-  def handle_call(:get_joints, from, state) do
-    send_command(state, "get_joints", %{}, from)
+  def handle_call({:step_batch, params, timeout}, from, state) do
+    send_command(state, "step_batch", params, from, timeout)
+  end
+
+  def handle_call({:get_joints, named}, from, state) do
+    send_command(state, "get_joints", %{named: named}, from)
+  end
+
+  def handle_call({:get_velocities, named}, from, state) do
+    send_command(state, "get_velocities", %{named: named}, from)
+  end
+
+  def handle_call(:get_sensors, from, state) do
+    send_command(state, "get_sensors", %{}, from)
+  end
+
+  def handle_call({:start_recording, params}, from, state) do
+    send_command(state, "start_recording", params, from)
+  end
+
+  def handle_call(:stop_recording, from, state) do
+    send_command(state, "stop_recording", %{}, from)
+  end
+
+  def handle_call({:export_recording, params}, from, state) do
+    send_command(state, "export_recording", params, from, @export_timeout)
+  end
+
+  def handle_call(:save_state, from, state) do
+    send_command(state, "save_state", %{}, from)
+  end
+
+  def handle_call({:load_state, blob}, from, state) do
+    send_command(state, "load_state", %{state: blob}, from)
+  end
+
+  def handle_call({:apply_force, params}, from, state) do
+    send_command(state, "apply_force", params, from)
+  end
+
+  def handle_call({:clear_forces, nil}, from, state) do
+    send_command(state, "clear_forces", %{}, from)
+  end
+
+  def handle_call({:clear_forces, body}, from, state) do
+    send_command(state, "clear_forces", %{body: body}, from)
+  end
+
+  def handle_call({:set_model_params, params}, from, state) do
+    send_command(state, "set_model_params", params, from)
+  end
+
+  def handle_call(:get_model_params, from, state) do
+    send_command(state, "get_model_params", %{}, from)
+  end
+
+  def handle_call({:set_mocap, bodies}, from, state) do
+    send_command(state, "set_mocap", %{bodies: bodies}, from)
+  end
+
+  def handle_call(:get_mocap, from, state) do
+    send_command(state, "get_mocap", %{}, from)
+  end
+
+  def handle_call(:get_contacts, from, state) do
+    send_command(state, "get_contacts", %{}, from)
+  end
+
+  def handle_call({:raycast_scan, params}, from, state) do
+    send_command(state, "raycast_scan", params, from)
   end
 
-  def handle_call(:get_velocities, from, state) do
-    send_command(state, "get_velocities", %{}, from)
+  def handle_call({:get_camera_image, params, timeout}, from, state) do
+    send_command(state, "get_camera_image", params, from, timeout)
   end
 
-  def handle_call(:reset, from, state) do
+  def handle_call({:reset, nil}, from, state) do
     send_command(state, "reset", %{}, from)
   end
 
+  def handle_call({:reset, keyframe}, from, state) do
+    send_command(state, "reset", %{keyframe: keyframe}, from)
+  end
+
+  def handle_call(:list_keyframes, from, state) do
+    send_command(state, "list_keyframes", %{}, from)
+  end
+
   def handle_call(:connected?, _from, state) do
     {:reply, state.status == :connected, state}
   end
 
+  def handle_call({:set_control_mode, modes}, from, state) do
+    send_command(state, "set_control_mode", %{modes: modes}, from)
+  end
+
   def handle_call(:get_state, from, state) do
     if state.last_state do
-      {:reply, {:ok, state.last_state}, state}
+      {:reply, {:ok, with_control_modes(state.last_state, state.control_modes)}, state}
     else
       send_command(state, "get_state", %{}, from)
     end
   end
 
   @impl GenServer
+  def handle_cast({:response, {:binary, frame}}, state) do
+    case Binary.decode_response(frame, state.sensor_layout) do
+      {:ok, response} ->
+        handle_cast({:response, response}, state)
+
+      {:error, reason} ->
+        Logger.warning("[BB.Mujoco.Bridge] Bad binary response: #{inspect(reason)}")
+        {:noreply, state}
+    end
+  end
+
   def handle_cast({:response, %{"id" => id} = response}, state) do
     case Map.pop(state.pending_calls, id) do
       {{from, cmd}, pending_calls} ->
@@ -194,8 +680,21 @@ defmodule BB.Mujoco.Bridge do
             _ -> state.last_state
           end
 
+        control_modes =
+          case result do
+            {:ok, %{modes: modes}} when is_list(modes) -> modes
+            _ -> state.control_modes
+          end
+
         GenServer.reply(from, result)
-        {:noreply, %{state | pending_calls: pending_calls, last_state: new_last_state}}
+
+        {:noreply,
+         %{
+           state
+           | pending_calls: pending_calls,
+             last_state: new_last_state,
+             control_modes: control_modes
+         }}
 
       {nil, _} ->
         Logger.warning("[BB.Mujoco.Bridge] Unknown response id: #{id}")
@@ -219,7 +718,13 @@ defmodule BB.Mujoco.Bridge do
       :mujoco_disconnected
     )
 
-    {:noreply, %{state | status: :disconnected, channel_pid: nil, pending_calls: %{}}}
+    {:noreply,
+     %{state | status: :disconnected, channel_pid: nil, pending_calls: %{}, encoding: :json}}
+  end
+
+  # A channel replaced by a rejoin before its DOWN arrived
+  def handle_info({:DOWN, _ref, :process, _pid, _reason}, state) do
+    {:noreply, state}
   end
 
   def handle_info({:timeout, id}, state) do
@@ -235,24 +740,43 @@ defmodule BB.Mujoco.Bridge do
 
   # Private helpers
 
-  defp send_command(%{status: :disconnected} = state, _cmd, _params, _from) do
+  # Pick up the browser's simulation where it was when the channel dropped
+  defp resume(state, params) do
+    resumed = %{
+      joints: params["joints"] || [],
+      velocities: params["velocities"] || [],
+      time: params["time"] || 0.0
+    }
+
+    Logger.info("[BB.Mujoco.Bridge] Browser resumed at t=#{resumed.time}")
+
+    Phoenix.PubSub.broadcast(
+      BbMujoco.PubSub,
+      "mujoco:#{state.robot}",
+      {:mujoco_resumed, resumed}
+    )
+
+    %{state | last_state: resumed, control_modes: params["modes"] || default_modes(params)}
+  end
+
+  defp default_modes(params) do
+    List.duplicate("position", params["nu"] || 0)
+  end
+
+  defp send_command(state, cmd, params, from, timeout \\ @command_timeout)
+
+  defp send_command(%{status: :disconnected} = state, _cmd, _params, _from, _timeout) do
     {:reply, {:error, :disconnected}, state}
   end
 
-  defp send_command(state, cmd, params, from) do
+  defp send_command(state, cmd, params, from, timeout) do
     id = state.call_counter + 1
 
-    message = %{
-      cmd: cmd,
-      id: id,
-      params: params
-    }
-
     # Send to channel
-    send(state.channel_pid, {:push, "physics:command", message})
+    send(state.channel_pid, {:push, "physics:command", encode_command(state, cmd, id, params)})
 
     # Set timeout
-    Process.send_after(self(), {:timeout, id}, @command_timeout)
+    Process.send_after(self(), {:timeout, id}, timeout)
 
     # Track pending call
     pending_calls = Map.put(state.pending_calls, id, {from, cmd})
@@ -260,6 +784,17 @@ defmodule BB.Mujoco.Bridge do
     {:noreply, %{state | pending_calls: pending_calls, call_counter: id}}
   end
 
+  defp encode_command(%{encoding: :binary}, cmd, id, params) do
+    case Binary.encode_command(cmd, id, params) do
+      {:ok, frame} -> {:binary, frame}
+      :error -> %{cmd: cmd, id: id, params: params}
+    end
+  end
+
+  defp encode_command(_state, cmd, id, params) do
+    %{cmd: cmd, id: id, params: params}
+  end
+
   defp parse_response(_cmd, %{"status" => "ok"} = response) do
     result =
       response
@@ -270,6 +805,10 @@ defmodule BB.Mujoco.Bridge do
     {:ok, result}
   end
 
+  defp parse_response(_cmd, %{"status" => "error", "unknown" => names}) do
+    {:error, {:unknown_joints, names}}
+  end
+
   defp parse_response(_cmd, %{"status" => "error", "message" => msg}) do
     {:error, msg}
   end
@@ -278,6 +817,16 @@ defmodule BB.Mujoco.Bridge do
     {:error, {:unexpected_response, response}}
   end
 
+  # Cached state may be a step result (no modes) or an older get_state (stale
+  # modes), so it always gets the last known ones
+  defp with_control_modes(last_state, nil), do: last_state
+  defp with_control_modes(last_state, modes), do: Map.put(last_state, :modes, modes)
+
+  defp named?(opts), do: Keyword.get(opts, :named, false)
+
+  defp batch_entry({targets, dt}), do: %{targets: targets, dt: dt}
+  defp batch_entry(%{dt: _} = entry), do: entry
+
   defp via(robot) do
     {:via, Registry, {BB.Mujoco.Registry, {robot, :bridge}}}
   end
@@ -9,6 +9,12 @@ defmodule BB.Mujoco.Channel do
      │                                   │
      ├── physics:ready ───────────────→ │
      │   (MuJoCo loaded)                │
+     │ ← ─ reply {encoding, driving} ───┤
+     │   ("binary" or "json", and        │
+     │    whether Elixir is stepping)    │
+     │                                   │
+     │ ← ─ physics:driving ─────────────┤
+     │   (Elixir started/stopped)        │
      │                                   │
      │ ← ─ physics:command ─────────────┤
      │   (set_joints, step, etc.)        │
@@ -19,6 +25,15 @@ defmodule BB.Mujoco.Channel do
      └── physics:error ────────────────→ │
          (error notification)             │
   ```
+
+  Once `"binary"` is negotiated, step commands and their responses travel as
+  binary frames (see `BB.Mujoco.Binary`); everything else stays JSON.
+
+  The ready reply's `driving` flag tells the browser whether the robot's
+  `BB.Mujoco.Simulation` control loop is stepping physics; while it isn't
+  (paused, or no Simulation) the viewer free-runs. Later changes are pushed
+  as `physics:driving` (`%{driving: boolean}`), including when the
+  Simulation stops.
   """
 
   use Phoenix.Channel
@@ -30,6 +45,9 @@ defmodule BB.Mujoco.Channel do
 
     Logger.info("[BB.Mujoco.Channel] Browser joining for #{robot_name}")
 
+    # Hear when the Simulation starts or stops driving
+    Phoenix.PubSub.subscribe(BbMujoco.PubSub, "mujoco:#{robot}")
+
     # Register with bridge after successful join
     send(self(), :register_with_bridge)
 
@@ -56,18 +74,40 @@ defmodule BB.Mujoco.Channel do
     {:noreply, socket}
   end
 
+  def handle_info({:mujoco_driving, driving}, socket) do
+    push(socket, "physics:driving", %{driving: driving})
+    {:noreply, monitor_simulation(socket)}
+  end
+
+  # A Simulation that exits without stopping its loop first (e.g. a crash)
+  def handle_info({:DOWN, ref, :process, _pid, _reason}, %{assigns: %{simulation_ref: ref}} = socket) do
+    Logger.info("[BB.Mujoco.Channel] Simulation stopped for #{socket.assigns.robot}")
+    push(socket, "physics:driving", %{driving: false})
+    {:noreply, assign(socket, :simulation_ref, nil)}
+  end
+
+  # Other robot events on the PubSub topic
+  def handle_info(_msg, socket) do
+    {:noreply, socket}
+  end
+
   @impl Phoenix.Channel
   def handle_in("physics:ready", params, socket) do
     Logger.info("[BB.Mujoco.Channel] MuJoCo ready: #{inspect(params)}")
 
     # Retry registration with Bridge (it may have started since initial join)
-    try do
-      BB.Mujoco.Bridge.register_channel(socket.assigns.robot, self())
-      Logger.info("[BB.Mujoco.Channel] Registered with Bridge")
-    catch
-      :exit, _ ->
-        Logger.debug("[BB.Mujoco.Channel] Bridge still not available")
-    end
+    encoding =
+      try do
+        BB.Mujoco.Bridge.register_channel(socket.assigns.robot, self())
+        Logger.info("[BB.Mujoco.Channel] Registered with Bridge")
+        BB.Mujoco.Bridge.negotiate(socket.assigns.robot, params)
+      catch
+        :exit, _ ->
+          Logger.debug("[BB.Mujoco.Channel] Bridge still not available")
+          "json"
+      end
+
+    socket = monitor_simulation(socket)
 
     # Broadcast readiness
     Phoenix.PubSub.broadcast(
@@ -76,7 +116,9 @@ defmodule BB.Mujoco.Channel do
       {:mujoco_ready, params}
     )
 
-    {:reply, :ok, socket}
+    driving = BB.Mujoco.Simulation.driving?(socket.assigns.robot)
+
+    {:reply, {:ok, %{encoding: encoding, driving: driving}}, socket}
   end
 
   def handle_in("physics:response", response, socket) do
@@ -99,4 +141,15 @@ defmodule BB.Mujoco.Channel do
     Logger.info("[BB.Mujoco.Channel] Browser disconnected for #{socket.assigns.robot}")
     :ok
   end
+
+  # Watch the Simulation (once) so the browser hears if it goes away
+  defp monitor_simulation(%{assigns: %{simulation_ref: ref}} = socket) when is_reference(ref),
+    do: socket
+
+  defp monitor_simulation(socket) do
+    case BB.Mujoco.Simulation.whereis(socket.assigns.robot) do
+      nil -> socket
+      pid -> assign(socket, :simulation_ref, Process.monitor(pid))
+    end
+  end
 end
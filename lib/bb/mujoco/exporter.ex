@@ -21,8 +21,13 @@ defmodule BB.Mujoco.Exporter do
 
       # Write to file
       BB.Mujoco.Exporter.to_mjcf_file(MyRobot, "robot.xml")
+
+      # Compose a multi-robot scene (see BB.Mujoco.Scene)
+      mjcf = BB.Mujoco.Exporter.to_scene_mjcf(MyScene)
   """
 
+  alias BB.Mujoco.Scene
+
   @default_opts [
     timestep: 0.002,
     gravity: [0, 0, -9.81],
@@ -30,6 +35,12 @@ defmodule BB.Mujoco.Exporter do
     cone: "pyramidal"
   ]
 
+  # Names and root placement of a single robot's model
+  @root_namespace %{prefix: "", pos: "0 0 0"}
+
+  # <custom><text> name marking a scene robot (read by the physics server)
+  @robot_text_prefix "bb_robot:"
+
   @doc "Convert BB robot to MJCF XML string"
   @spec to_mjcf(module(), keyword()) :: String.t()
   def to_mjcf(robot_module, opts \\ []) do
@@ -43,9 +54,53 @@ defmodule BB.Mujoco.Exporter do
       #{compiler_section()}
       #{option_section(opts)}
       #{default_section()}
-      #{asset_section(robot)}
-      #{worldbody_section(robot)}
-      #{actuator_section(robot)}
+      #{asset_section([robot])}
+      #{worldbody_section(link_to_body(robot, robot.root_link, nil, 0, @root_namespace))}
+      #{actuator_section([{robot, ""}])}
+    </mujoco>
+    """
+  end
+
+  @doc """
+  Compose a `BB.Mujoco.Scene` (several robots and props) into one MJCF world.
+
+  Each robot's names are prefixed, and a `<custom><text>` entry per robot
+  records its prefix so the physics server can route each robot's channel
+  to its own actuators and sensors.
+
+  Raises `ArgumentError` if a prop is named like one of the robots' bodies
+  or geoms.
+  """
+  @spec to_scene_mjcf(module(), keyword()) :: String.t()
+  def to_scene_mjcf(scene_module, opts \\ []) do
+    opts = Keyword.merge(@default_opts, opts)
+
+    robots =
+      scene_module
+      |> Scene.robots()
+      |> Enum.map(fn {robot_module, robot_opts} -> {robot_module, get_robot!(robot_module), robot_opts} end)
+
+    bodies_xml =
+      Enum.map_join(robots, "\n", fn {_module, robot, robot_opts} ->
+        namespace = %{prefix: robot_opts[:prefix], pos: format_vector(robot_opts[:pos])}
+        link_to_body(robot, robot.root_link, nil, 0, namespace)
+      end)
+
+    props = Scene.props(scene_module)
+    validate_prop_names!(scene_module, props, bodies_xml)
+    props_xml = Enum.map_join(props, "\n", &prop_to_xml/1)
+    prefixed = Enum.map(robots, fn {_module, robot, robot_opts} -> {robot, robot_opts[:prefix]} end)
+
+    """
+    <?xml version="1.0" encoding="utf-8"?>
+    <mujoco model="#{format_model_name(scene_module)}">
+      #{compiler_section()}
+      #{option_section(opts)}
+      #{default_section()}
+      #{asset_section(Enum.map(robots, &elem(&1, 1)))}
+      #{custom_section(robots)}
+      #{worldbody_section(bodies_xml <> "\n" <> props_xml)}
+      #{actuator_section(prefixed)}
     </mujoco>
     """
   end
@@ -86,8 +141,12 @@ defmodule BB.Mujoco.Exporter do
     """
   end
 
-  defp asset_section(robot) do
-    meshes = collect_meshes(robot)
+  defp asset_section(robots) do
+    # Robots in a scene may share mesh files; each is declared once
+    meshes =
+      robots
+      |> Enum.flat_map(&collect_meshes/1)
+      |> Enum.uniq_by(fn {f, _} -> f end)
 
     mesh_elements =
       meshes
@@ -105,11 +164,21 @@ defmodule BB.Mujoco.Exporter do
     """
   end
 
-  defp worldbody_section(robot) do
-    # Start from root link using BB's flat structure
-    root_link_name = robot.root_link
-    body_xml = link_to_body(robot, root_link_name, nil, 0)
+  defp custom_section(robots) do
+    texts =
+      Enum.map_join(robots, "\n", fn {robot_module, _robot, robot_opts} ->
+        ~s(    <text name="#{@robot_text_prefix}#{inspect(robot_module)}" data="#{robot_opts[:prefix]}"/>)
+      end)
 
+    """
+      <custom>
+    #{texts}
+      </custom>
+    """
+  end
+
+  # Bodies start from each robot's root link using BB's flat structure
+  defp worldbody_section(body_xml) do
     """
       <worldbody>
         <light name="top" pos="0 0 2" dir="0 0 -1"/>
@@ -119,8 +188,8 @@ defmodule BB.Mujoco.Exporter do
     """
   end
 
-  defp actuator_section(robot) do
-    actuators = collect_actuators(robot)
+  defp actuator_section(robots) do
+    actuators = Enum.flat_map(robots, fn {robot, prefix} -> collect_actuators(robot, prefix) end)
 
     actuator_elements =
       actuators
@@ -141,29 +210,31 @@ defmodule BB.Mujoco.Exporter do
   # Build MJCF body from BB link using flat structure
   # In MuJoCo, a joint must be inside the body it moves (the child body),
   # not in the parent body. The joint defines how the body moves relative to its parent.
-  defp link_to_body(robot, link_name, parent_joint, depth) do
+  # The namespace prefixes every name and places the root body (scenes)
+  defp link_to_body(robot, link_name, parent_joint, depth, namespace) do
     indent = String.duplicate("  ", depth + 2)
     link = Map.fetch!(robot.links, link_name)
+    body_name = "#{namespace.prefix}#{link_name}"
 
     # Get position from parent joint (if any)
-    pos = if parent_joint, do: format_joint_pos(parent_joint.origin), else: "0 0 0"
+    pos = if parent_joint, do: format_joint_pos(parent_joint.origin), else: namespace.pos
     quat = if parent_joint, do: format_joint_quat(parent_joint.origin), else: "1 0 0 0"
 
-    body_attrs = ~s(name="#{link_name}" pos="#{pos}" quat="#{quat}")
+    body_attrs = ~s(name="#{body_name}" pos="#{pos}" quat="#{quat}")
 
     # Output the joint INSIDE this body (if we have a parent joint connecting us)
     # This is the correct MuJoCo structure: joint inside the body it moves
-    joint_xml = if parent_joint, do: joint_to_xml(parent_joint, depth), else: ""
+    joint_xml = if parent_joint, do: joint_to_xml(parent_joint, depth, namespace.prefix), else: ""
 
     # Build geom from visual (BB has single visual, not list)
-    geom_xml = if link.visual, do: visual_to_geom(link_name, link.visual, 0, depth + 1), else: ""
+    geom_xml = if link.visual, do: visual_to_geom(body_name, link.visual, 0, depth + 1), else: ""
 
     # Build child bodies - joints are output inside each child body, not here
     children_xml =
       link.child_joints
       |> Enum.map(fn joint_name ->
         joint = Map.fetch!(robot.joints, joint_name)
-        link_to_body(robot, joint.child_link, joint, depth + 1)
+        link_to_body(robot, joint.child_link, joint, depth + 1, namespace)
       end)
       |> Enum.join("\n")
 
@@ -209,7 +280,7 @@ defmodule BB.Mujoco.Exporter do
 
   defp format_visual_origin(_), do: ""
 
-  defp joint_to_xml(joint, depth) do
+  defp joint_to_xml(joint, depth, prefix) do
     indent = String.duplicate("  ", depth + 3)
 
     type = joint_type(joint.type)
@@ -220,12 +291,53 @@ defmodule BB.Mujoco.Exporter do
 
       range_attr = if range, do: ~s( range="#{range}"), else: ""
 
-      ~s(#{indent}<joint name="#{joint.name}" type="#{type}" axis="#{axis}"#{range_attr}/>)
+      ~s(#{indent}<joint name="#{prefix}#{joint.name}" type="#{type}" axis="#{axis}"#{range_attr}/>)
     else
       ""
     end
   end
 
+  # MuJoCo names must be unique per element type, so a prop can't reuse a
+  # (prefixed) body or geom name of the robots it shares the world with
+  defp validate_prop_names!(scene_module, props, bodies_xml) do
+    robot_names =
+      ~r/<(?:body|geom) name="([^"]+)"/
+      |> Regex.scan(bodies_xml, capture: :all_but_first)
+      |> MapSet.new(&hd/1)
+
+    case Enum.filter(props, &MapSet.member?(robot_names, &1.name)) do
+      [] ->
+        :ok
+
+      clashes ->
+        raise ArgumentError,
+              "#{inspect(scene_module)} has props named like robot bodies or geoms: " <>
+                Enum.map_join(clashes, ", ", &inspect(&1.name))
+    end
+  end
+
+  defp prop_to_xml(prop) do
+    quat_attr = if prop[:quat], do: ~s( quat="#{format_vector(prop.quat)}"), else: ""
+    rgba = format_vector(prop[:rgba] || [0.7, 0.7, 0.7, 1])
+    size = format_vector(prop.size)
+
+    if prop[:free] do
+      mass_attr = if prop[:mass], do: ~s( mass="#{prop.mass}"), else: ""
+
+      """
+          <body name="#{prop.name}" pos="#{format_vector(prop[:pos] || [0, 0, 0])}"#{quat_attr}>
+            <freejoint/>
+            <geom name="#{prop.name}" type="#{prop.type}" size="#{size}" rgba="#{rgba}"#{mass_attr}/>
+          </body>
+      """
+    else
+      pos_attr = if prop[:pos], do: ~s( pos="#{format_vector(prop.pos)}"), else: ""
+      ~s(    <geom name="#{prop.name}" type="#{prop.type}" size="#{size}"#{pos_attr}#{quat_attr} rgba="#{rgba}"/>)
+    end
+  end
+
+  defp format_vector(values), do: Enum.join(values, " ")
+
   # BB geometry is a tuple {type, params}
   defp geometry_to_attrs({:box, %{x: x, y: y, z: z}}) do
     ~s(type="box" size="#{x / 2} #{y / 2} #{z / 2}")
@@ -328,13 +440,13 @@ defmodule BB.Mujoco.Exporter do
     |> Enum.uniq_by(fn {f, _} -> f end)
   end
 
-  defp collect_actuators(robot) do
+  defp collect_actuators(robot, prefix) do
     # Collect actuated joints (all non-fixed joints for now)
     # Position actuators provide servo-like behavior matching Dynamixel hardware
     robot.joints
     |> Map.values()
     |> Enum.filter(fn joint -> joint.type != :fixed end)
-    |> Enum.map(fn joint -> {"#{joint.name}_pos", joint.name} end)
+    |> Enum.map(fn joint -> {"#{prefix}#{joint.name}_pos", "#{prefix}#{joint.name}"} end)
   end
 
   defp get_robot!(robot_module) do
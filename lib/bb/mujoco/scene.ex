@@ -0,0 +1,166 @@
+defmodule BB.Mujoco.Scene do
+  @moduledoc """
+  Multi-robot scenes: several BB robots, plus static or free props, composed
+  into one MuJoCo world that a single `MujocoViewer` simulates.
+
+  A scene is a module that defines `scene/0`:
+
+      defmodule MyApp.Workcell do
+        def scene do
+          %{
+            robots: [
+              {MyApp.Arm, pos: [0, -0.4, 0]},
+              {MyApp.PanTilt, pos: [0, 0.4, 0], prefix: "camera/"}
+            ],
+            props: [
+              %{name: "table", type: :box, size: [0.3, 0.6, 0.02], pos: [0.5, 0, 0.4]},
+              %{name: "cube", type: :box, size: [0.02, 0.02, 0.02], pos: [0.5, 0, 0.45], free: true}
+            ]
+          }
+        end
+      end
+
+  Open the viewer with the scene module in place of a robot. Each robot's
+  bodies, joints, geoms and actuators are namespaced with its `:prefix`
+  (default: the underscored module name and a slash, e.g. `"arm/"`), so
+  robots can share link names. `:pos` places the robot's root body.
+
+  Every robot keeps its own physics channel topic (`mujoco:physics:<robot>`),
+  `BB.Mujoco.Bridge` and `BB.Mujoco.Simulation`, and sees only its own joints
+  and sensors, named without the prefix. Body and geom names in commands such
+  as `apply_force` may be given with or without it. A robot module can appear
+  in a scene only once, and no robot's prefix may start with another's (e.g.
+  `"arm"` and `"arm2/"`), since the prefix is what decides which robot owns
+  an actuator or sensor.
+
+  Props are MJCF primitives:
+
+  - `:name` - geom (or body, for free props) name
+  - `:type` - `:box`, `:sphere`, `:cylinder`, `:capsule` or `:ellipsoid`
+  - `:size` - MJCF size list (half-extents for boxes)
+  - `:pos`, `:quat` - placement (MuJoCo world frame, quat `[w, x, y, z]`)
+  - `:rgba` - colour (default light grey)
+  - `:free` - give the prop a free joint so robots can move it (default `false`)
+  - `:mass` - mass of a free prop (default: from MuJoCo's geom density)
+  """
+
+  @prop_types [:box, :sphere, :cylinder, :capsule, :ellipsoid]
+
+  @doc "Whether `module` defines a scene (`scene/0`)"
+  @spec scene?(module()) :: boolean()
+  def scene?(module) do
+    match?({:module, _}, Code.ensure_compiled(module)) and function_exported?(module, :scene, 0)
+  end
+
+  @doc """
+  The robots of a scene as `{robot_module, opts}` with `:prefix` and `:pos`
+  filled in.
+
+  Raises `ArgumentError` if a robot module appears more than once, or if one
+  robot's prefix starts with another's.
+  """
+  @spec robots(module()) :: [{module(), keyword()}]
+  def robots(scene_module) do
+    robots =
+      scene_module.scene()
+      |> Map.get(:robots, [])
+      |> Enum.map(&normalize_robot/1)
+
+    duplicates = robots |> Enum.map(&elem(&1, 0)) |> duplicates()
+
+    if duplicates != [] do
+      raise ArgumentError,
+            "#{inspect(scene_module)} lists #{Enum.map_join(duplicates, ", ", &inspect/1)} more than once"
+    end
+
+    case overlapping_prefixes(robots) do
+      nil ->
+        robots
+
+      {{a, a_prefix}, {b, b_prefix}} ->
+        raise ArgumentError,
+              "#{inspect(scene_module)} gives #{inspect(a)} and #{inspect(b)} overlapping prefixes " <>
+                "#{inspect(a_prefix)} and #{inspect(b_prefix)}"
+    end
+  end
+
+  @doc """
+  The props of a scene.
+
+  Raises `ArgumentError` for a prop without a name, size or known type.
+  """
+  @spec props(module()) :: [map()]
+  def props(scene_module) do
+    scene_module.scene()
+    |> Map.get(:props, [])
+    |> Enum.map(&validate_prop!/1)
+  end
+
+  @doc """
+  The robot modules simulated when `module` is loaded in the viewer: every
+  robot of a scene, or just `module` itself for a plain robot.
+  """
+  @spec robot_modules(module()) :: [module()]
+  def robot_modules(module) do
+    if scene?(module) do
+      Enum.map(robots(module), &elem(&1, 0))
+    else
+      [module]
+    end
+  end
+
+  @doc "Default name prefix for a robot in a scene, e.g. `\"six_dof_arm/\"`"
+  @spec default_prefix(module()) :: String.t()
+  def default_prefix(robot_module) do
+    name =
+      robot_module
+      |> Module.split()
+      |> List.last()
+      |> Macro.underscore()
+
+    name <> "/"
+  end
+
+  defp normalize_robot({module, opts}) when is_atom(module) and is_list(opts) do
+    opts =
+      opts
+      |> Keyword.put_new_lazy(:prefix, fn -> default_prefix(module) end)
+      |> Keyword.put_new(:pos, [0, 0, 0])
+
+    {module, opts}
+  end
+
+  defp normalize_robot(module) when is_atom(module), do: normalize_robot({module, []})
+
+  defp validate_prop!(%{name: name, type: type, size: size} = prop)
+       when type in @prop_types and is_list(size) and size != [] do
+    Map.put(prop, :name, to_string(name))
+  end
+
+  defp validate_prop!(prop) do
+    raise ArgumentError,
+          "invalid scene prop #{inspect(prop)}: needs :name, :size and a :type in #{inspect(@prop_types)}"
+  end
+
+  # The first pair of robots where one prefix starts with the other
+  defp overlapping_prefixes(robots) do
+    prefixes = Enum.map(robots, fn {module, opts} -> {module, opts[:prefix]} end)
+
+    Enum.find_value(Enum.with_index(prefixes), fn {{_a, a_prefix} = a, i} ->
+      prefixes
+      |> Enum.drop(i + 1)
+      |> Enum.find_value(fn {_b, b_prefix} = b ->
+        if String.starts_with?(a_prefix, b_prefix) or String.starts_with?(b_prefix, a_prefix) do
+          {a, b}
+        end
+      end)
+    end)
+  end
+
+  defp duplicates(list) do
+    list
+    |> Enum.frequencies()
+    |> Enum.filter(fn {_item, count} -> count > 1 end)
+    |> Enum.map(&elem(&1, 0))
+  end
+end
@@ -11,6 +11,7 @@ defmodule BB.Mujoco.Simulation do
   - Joint targets (what we're commanding)
   - Joint positions (what physics computed)
   - Joint velocities
+  - Sensor readings (when the model defines sensors)
   - Simulation time
 
   ## Lifecycle
@@ -35,11 +36,34 @@ defmodule BB.Mujoco.Simulation do
                                    ↓
                       ViewerLive.handle_info() → UI update
 
+  ## Driving
+
+  While the control loop runs (not paused, browser connected) the Simulation
+  is *driving* physics, and the viewer leaves stepping to it. Whether it is
+  driving is kept as the Simulation's Registry value (see `driving?/1`) and
+  broadcast as `{:mujoco_driving, boolean}` on `"mujoco:<robot>"` when it
+  changes; `BB.Mujoco.Channel` relays it to the browser.
+
+  ## Simulated Cameras
+
+  Pass `cameras: [{name, opts}]` to render MJCF `<camera>` elements at a fixed
+  rate alongside the control loop. `opts` are those of
+  `BB.Mujoco.Bridge.get_camera_image/3` plus `:hz` (default 10, at most the
+  control rate). Each image is broadcast on the `"bb:mujoco:camera"` topic as
+  `{:camera_image, %{robot: name, camera: ..., rgb: ..., ...}}`.
+
   ## Example
 
       # Start simulation for a robot
       {:ok, pid} = BB.Mujoco.Simulation.start_link(robot: MyRobot)
 
+      # ...streaming a 160×120 wrist camera at 15Hz
+      {:ok, pid} =
+        BB.Mujoco.Simulation.start_link(
+          robot: MyRobot,
+          cameras: [{"wrist_cam", hz: 15, width: 160, height: 120}]
+        )
+
       # Set joint targets
       BB.Mujoco.Simulation.set_joint(MyRobot, 0, 1.5)
 
@@ -57,6 +81,9 @@ defmodule BB.Mujoco.Simulation do
   @tick_interval_ms div(1000, @control_hz)
   @step_dt 1.0 / @control_hz
 
+  # Default simulated camera rate
+  @camera_hz 10
+
   defstruct [
     :robot_module,
     :robot_name,
@@ -64,10 +91,14 @@ defmodule BB.Mujoco.Simulation do
     :joint_targets,
     :joint_positions,
     :joint_velocities,
+    :control_modes,
+    :sensors,
+    :cameras,
     :sim_time,
     :step_count,
     :running,
     :backend_ready,
+    :driving,
     :tick_timer
   ]
 
@@ -102,6 +133,17 @@ defmodule BB.Mujoco.Simulation do
     :exit, _ -> {:error, :not_running}
   end
 
+  @doc """
+  Switch a joint between `:position`, `:velocity` and `:effort` control (see
+  `BB.Mujoco.Bridge.set_control_mode/2`). Its target then means a position, a
+  velocity or a torque/force, and is reset so the joint doesn't jump.
+  """
+  def set_control_mode(robot, index, mode) when is_integer(index) do
+    GenServer.call(via(robot), {:set_control_mode, index, to_string(mode)})
+  catch
+    :exit, _ -> {:error, :not_running}
+  end
+
   @doc "Get current joint positions (from physics)"
   def get_joints(robot) do
     GenServer.call(via(robot), :get_joints)
@@ -130,9 +172,9 @@ defmodule BB.Mujoco.Simulation do
     :exit, _ -> {:error, :not_running}
   end
 
-  @doc "Reset simulation to initial state"
-  def reset(robot) do
-    GenServer.call(via(robot), :reset)
+  @doc "Reset simulation to initial state, or to a keyframe (name or index)"
+  def reset(robot, keyframe \\ nil) do
+    GenServer.call(via(robot), {:reset, keyframe})
   catch
     :exit, _ -> {:error, :not_running}
   end
@@ -144,6 +186,24 @@ defmodule BB.Mujoco.Simulation do
     :exit, _ -> false
   end
 
+  @doc """
+  Whether the robot's control loop is stepping physics. Read from the Registry,
+  so it never waits on the GenServer (safe from processes the loop calls into).
+  """
+  @spec driving?(module()) :: boolean()
+  def driving?(robot) do
+    case Registry.lookup(BB.Mujoco.Registry, {robot, :simulation}) do
+      [{_pid, driving}] -> driving == true
+      [] -> false
+    end
+  end
+
+  @doc "The robot's Simulation process, or `nil` when none is running"
+  @spec whereis(module()) :: pid() | nil
+  def whereis(robot) do
+    GenServer.whereis(via(robot))
+  end
+
   @doc "Notify that backend is ready (called when browser connects)"
   def backend_ready(robot) do
     GenServer.cast(via(robot), :backend_ready)
@@ -191,10 +251,14 @@ defmodule BB.Mujoco.Simulation do
       joint_targets: List.duplicate(0.0, joint_count),
       joint_positions: List.duplicate(0.0, joint_count),
       joint_velocities: List.duplicate(0.0, joint_count),
+      control_modes: List.duplicate("position", joint_count),
+      sensors: %{},
+      cameras: Keyword.get(opts, :cameras, []),
       sim_time: 0.0,
       step_count: 0,
       running: true,
       backend_ready: false,
+      driving: false,
       tick_timer: nil
     }
 
@@ -210,7 +274,7 @@ defmodule BB.Mujoco.Simulation do
     if Bridge.connected?(state.robot_module) do
       Logger.info("[Simulation] Backend already connected, starting control loop")
       timer = schedule_tick()
-      {:noreply, %{state | backend_ready: true, tick_timer: timer}}
+      {:noreply, report_driving(%{state | backend_ready: true, tick_timer: timer})}
     else
       Logger.info("[Simulation] Waiting for browser connection...")
       {:noreply, state}
@@ -247,7 +311,9 @@ defmodule BB.Mujoco.Simulation do
     result = %{
       joints: state.joint_positions,
       velocities: state.joint_velocities,
+      sensors: state.sensors,
       targets: state.joint_targets,
+      modes: state.control_modes,
       time: state.sim_time,
       step_count: state.step_count,
       running: state.running,
@@ -257,6 +323,27 @@ defmodule BB.Mujoco.Simulation do
     {:reply, {:ok, result}, state}
   end
 
+  def handle_call({:set_control_mode, index, mode}, _from, state)
+      when index >= 0 and index < state.joint_count do
+    modes = List.replace_at(state.control_modes, index, mode)
+
+    case Bridge.set_control_mode(state.robot_module, modes) do
+      {:ok, _result} ->
+        # Match the target to what the browser reset ctrl to
+        target = if mode == "position", do: Enum.at(state.joint_positions, index), else: 0.0
+        targets = List.replace_at(state.joint_targets, index, target * 1.0)
+
+        {:reply, :ok, %{state | control_modes: modes, joint_targets: targets}}
+
+      {:error, reason} ->
+        {:reply, {:error, reason}, state}
+    end
+  end
+
+  def handle_call({:set_control_mode, _index, _mode}, _from, state) do
+    {:reply, {:error, :invalid_index}, state}
+  end
+
   def handle_call({:set_paused, paused}, _from, state) do
     new_running = not paused
 
@@ -274,21 +361,24 @@ defmodule BB.Mujoco.Simulation do
           state.tick_timer
       end
 
-    {:reply, :ok, %{state | running: new_running, tick_timer: new_timer}}
+    {:reply, :ok, report_driving(%{state | running: new_running, tick_timer: new_timer})}
   end
 
-  def handle_call(:reset, _from, state) do
-    case Bridge.reset(state.robot_module) do
+  def handle_call({:reset, keyframe}, _from, state) do
+    case Bridge.reset(state.robot_module, keyframe) do
       {:ok, result} ->
-        joints = Map.get(result, :joints, List.duplicate(0.0, state.joint_count))
-        velocities = Map.get(result, :velocities, List.duplicate(0.0, state.joint_count))
+        zeros = List.duplicate(0.0, state.joint_count)
+        joints = Map.get(result, :joints, zeros)
+        velocities = Map.get(result, :velocities, zeros)
+        # Keyframes carry their own ctrl, so hold the pose they reset to
+        targets = Map.get(result, :targets, zeros)
 
         new_state = %{
           state
           | joint_positions: joints,
             joint_velocities: velocities,
-            joint_targets: List.duplicate(0.0, state.joint_count),
-            sim_time: 0.0,
+            joint_targets: normalize_targets(targets, state.joint_count),
+            sim_time: Map.get(result, :time, 0.0),
             step_count: 0
         }
 
@@ -307,8 +397,16 @@ defmodule BB.Mujoco.Simulation do
   @impl GenServer
   def handle_cast(:backend_ready, state) do
     Logger.info("[Simulation] Backend connected, starting control loop")
-    timer = if state.running, do: schedule_tick(), else: nil
-    {:noreply, %{state | backend_ready: true, tick_timer: timer}}
+
+    # The :mujoco_connected broadcast may already have restarted the loop
+    timer =
+      if state.running and is_nil(state.tick_timer) do
+        schedule_tick()
+      else
+        state.tick_timer
+      end
+
+    {:noreply, report_driving(%{state | backend_ready: true, tick_timer: timer})}
   end
 
   def handle_cast({:set_joint_count, count}, state) do
@@ -321,7 +419,8 @@ defmodule BB.Mujoco.Simulation do
          | joint_count: count,
            joint_targets: normalize_targets(state.joint_targets, count),
            joint_positions: normalize_targets(state.joint_positions, count),
-           joint_velocities: normalize_targets(state.joint_velocities, count)
+           joint_velocities: normalize_targets(state.joint_velocities, count),
+           control_modes: normalize_modes(state.control_modes, count)
        }}
     else
       {:noreply, state}
@@ -359,13 +458,38 @@ defmodule BB.Mujoco.Simulation do
         state.tick_timer
       end
 
-    {:noreply, %{state | backend_ready: true, tick_timer: timer}}
+    {:noreply, report_driving(%{state | backend_ready: true, tick_timer: timer})}
   end
 
   def handle_info(:mujoco_disconnected, state) do
     Logger.warning("[Simulation] Browser disconnected")
     if state.tick_timer, do: Process.cancel_timer(state.tick_timer)
-    {:noreply, %{state | backend_ready: false, tick_timer: nil}}
+    {:noreply, report_driving(%{state | backend_ready: false, tick_timer: nil})}
+  end
+
+  # A freshly loaded model starts every joint in position mode
+  def handle_info({:mujoco_ready, params}, state) do
+    if params["resume"] == true do
+      {:noreply, state}
+    else
+      {:noreply, %{state | control_modes: List.duplicate("position", state.joint_count)}}
+    end
+  end
+
+  # The browser rejoined after a dropped connection: carry on from its state
+  # rather than resetting (targets are kept, so the robot holds its command)
+  def handle_info({:mujoco_resumed, resumed}, state) do
+    Logger.info("[Simulation] Browser resumed at t=#{resumed.time}")
+
+    new_state = %{
+      state
+      | joint_positions: normalize_targets(resumed.joints, state.joint_count),
+        joint_velocities: normalize_targets(resumed.velocities, state.joint_count),
+        sim_time: resumed.time
+    }
+
+    broadcast_tick(new_state)
+    {:noreply, new_state}
   end
 
   def handle_info(_msg, state) do
@@ -376,6 +500,7 @@ defmodule BB.Mujoco.Simulation do
   def terminate(reason, state) do
     Logger.info("[Simulation] Terminating for #{state.robot_name}: #{inspect(reason)}")
     if state.tick_timer, do: Process.cancel_timer(state.tick_timer)
+    report_driving(%{state | running: false})
     :ok
   end
 
@@ -394,6 +519,7 @@ defmodule BB.Mujoco.Simulation do
       {:ok, result} ->
         joints = Map.get(result, :joints, state.joint_positions)
         velocities = Map.get(result, :velocities, state.joint_velocities)
+        sensors = Map.get(result, :sensors, state.sensors)
         time = Map.get(result, :time, state.sim_time + @step_dt)
 
         # Log position changes at INFO level
@@ -405,12 +531,14 @@ defmodule BB.Mujoco.Simulation do
           state
           | joint_positions: joints,
             joint_velocities: velocities,
+            sensors: sensors,
             sim_time: time,
             step_count: state.step_count + 1
         }
 
         # Broadcast state via PubSub
         broadcast_tick(new_state)
+        capture_cameras(new_state)
 
         new_state
 
@@ -420,6 +548,24 @@ defmodule BB.Mujoco.Simulation do
     end
   end
 
+  # Publish whether the control loop is stepping physics: as the Registry value
+  # read by driving?/1, and on PubSub when it changes
+  defp report_driving(state) do
+    driving = state.running and state.backend_ready
+
+    if driving != state.driving do
+      Registry.update_value(BB.Mujoco.Registry, {state.robot_module, :simulation}, fn _ -> driving end)
+
+      Phoenix.PubSub.broadcast(
+        BbMujoco.PubSub,
+        "mujoco:#{state.robot_module}",
+        {:mujoco_driving, driving}
+      )
+    end
+
+    %{state | driving: driving}
+  end
+
   defp broadcast_tick(state) do
     Phoenix.PubSub.broadcast(
       BbMujoco.PubSub,
@@ -429,6 +575,7 @@ defmodule BB.Mujoco.Simulation do
          robot: state.robot_name,
          joints: state.joint_positions,
          velocities: state.joint_velocities,
+         sensors: state.sensors,
          targets: state.joint_targets,
          time: state.sim_time,
          step_count: state.step_count
@@ -436,6 +583,36 @@ defmodule BB.Mujoco.Simulation do
     )
   end
 
+  # Images are fetched outside the control loop so rendering and encoding
+  # never delay the next tick
+  defp capture_cameras(%{cameras: []}), do: :ok
+
+  defp capture_cameras(state) do
+    for {camera, opts} <- state.cameras,
+        rem(state.step_count, camera_interval(opts)) == 0 do
+      Task.start(fn ->
+        case Bridge.get_camera_image(state.robot_module, camera, opts) do
+          {:ok, image} ->
+            Phoenix.PubSub.broadcast(
+              BbMujoco.PubSub,
+              "bb:mujoco:camera",
+              {:camera_image, Map.put(image, :robot, state.robot_name)}
+            )
+
+          {:error, reason} ->
+            Logger.warning("[Simulation] Camera #{inspect(camera)} failed: #{inspect(reason)}")
+        end
+      end)
+    end
+
+    :ok
+  end
+
+  defp camera_interval(opts) do
+    hz = Keyword.get(opts, :hz, @camera_hz)
+    max(round(@control_hz / hz), 1)
+  end
+
   defp schedule_tick do
     Process.send_after(self(), :tick, @tick_interval_ms)
   end
@@ -452,6 +629,12 @@ defmodule BB.Mujoco.Simulation do
 
   defp robot_to_name(robot) when is_binary(robot), do: robot
 
+  defp normalize_modes(modes, count) do
+    modes
+    |> Enum.take(count)
+    |> Kernel.++(List.duplicate("position", max(count - length(modes), 0)))
+  end
+
   defp normalize_targets(targets, count) when length(targets) == count do
     Enum.map(targets, &(&1 * 1.0))
   end
@@ -7,6 +7,9 @@ defmodule BbMujoco.Application do
 
   @impl true
   def start(_type, _args) do
+    # Asset hash memo for BbMujocoWeb.MjcfController
+    BbMujocoWeb.MjcfController.hash_table()
+
     children = [
       BbMujocoWeb.Telemetry,
       {DNSCluster, query: Application.get_env(:bb_mujoco, :dns_cluster_query) || :ignore},
@@ -0,0 +1,22 @@
+defmodule BbMujoco.Examples.Workcell do
+  @moduledoc """
+  A multi-robot scene: the 6-DOF arm and the pan-tilt camera on either side
+  of a table, with a free cube on it for the arm to push around.
+
+  Each robot is driven through its own channel topic, Bridge and Simulation
+  (see `BB.Mujoco.Scene`).
+  """
+
+  def scene do
+    %{
+      robots: [
+        {BbMujoco.Examples.SixDofArm, pos: [0, -0.3, 0]},
+        {BbMujoco.Examples.PanTiltRobot, pos: [0, 0.3, 0]}
+      ],
+      props: [
+        %{name: "table", type: :box, size: [0.15, 0.25, 0.01], pos: [0.35, 0, 0.2], rgba: [0.55, 0.4, 0.3, 1]},
+        %{name: "cube", type: :box, size: [0.02, 0.02, 0.02], pos: [0.35, 0, 0.24], rgba: [0.9, 0.3, 0.2, 1], free: true}
+      ]
+    }
+  end
+end
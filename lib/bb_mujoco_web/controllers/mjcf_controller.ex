@@ -15,16 +15,33 @@ defmodule BbMujocoWeb.MjcfController do
   use BbMujocoWeb, :controller
 
   @assets_dir "priv/assets"
+  @hash_table __MODULE__.FileHashes
 
   @doc """
-  Serve the MJCF XML for a robot.
+  Create the ETS table that memoizes asset hashes.
+
+  Called once from `BbMujoco.Application.start/2`, so the table lives as
+  long as the application does.
+  """
+  def hash_table do
+    :ets.new(@hash_table, [:named_table, :public, :set, read_concurrency: true])
+  end
+
+  @doc """
+  Serve the MJCF XML for a robot, or the composed world of a
+  `BB.Mujoco.Scene`.
 
   GET /api/mujoco/mjcf/:robot
   """
   def show(conn, %{"robot" => robot_name}) do
     case get_robot_module(robot_name) do
       {:ok, robot_module} ->
-        mjcf = BB.Mujoco.Exporter.to_mjcf(robot_module)
+        mjcf =
+          if BB.Mujoco.Scene.scene?(robot_module) do
+            BB.Mujoco.Exporter.to_scene_mjcf(robot_module)
+          else
+            BB.Mujoco.Exporter.to_mjcf(robot_module)
+          end
 
         conn
         |> put_resp_content_type("application/xml")
@@ -42,7 +59,9 @@ defmodule BbMujocoWeb.MjcfController do
 
   GET /api/mujoco/mjcf/:robot/assets
 
-  Returns all assets in priv/assets/ (shared across all robots).
+  Returns all assets in priv/assets/ (shared across all robots), with the
+  SHA-256 of each file's content in `hashes`. The browser caches assets by
+  that hash, so only new or changed files are downloaded again.
   """
   def list_assets(conn, %{"robot" => _robot_name}) do
     assets_path = assets_dir()
@@ -53,9 +72,11 @@ defmodule BbMujocoWeb.MjcfController do
         |> Enum.filter(&valid_asset_path?/1)
         |> Enum.sort()
 
-      json(conn, %{assets: files, count: length(files)})
+      hashes = Map.new(files, &{&1, file_hash(Path.join(assets_path, &1))})
+
+      json(conn, %{assets: files, count: length(files), hashes: hashes})
     else
-      json(conn, %{assets: [], count: 0})
+      json(conn, %{assets: [], count: 0, hashes: %{}})
     end
   end
 
@@ -105,7 +126,7 @@ defmodule BbMujocoWeb.MjcfController do
 
     case Code.ensure_compiled(module) do
       {:module, _} ->
-        if function_exported?(module, :robot, 0) do
+        if function_exported?(module, :robot, 0) or function_exported?(module, :scene, 0) do
           {:ok, module}
         else
           {:error, :not_found}
@@ -138,6 +159,23 @@ defmodule BbMujocoWeb.MjcfController do
     end
   end
 
+  # Hashes are memoized per path and only recomputed when the file's mtime or
+  # size changes, so listing assets doesn't reread every mesh on each load.
+  # The table is created by the application (see `hash_table/0`).
+  defp file_hash(path) do
+    %File.Stat{mtime: mtime, size: size} = File.stat!(path, time: :posix)
+
+    case :ets.lookup(@hash_table, path) do
+      [{^path, ^mtime, ^size, hash}] ->
+        hash
+
+      _ ->
+        hash = :crypto.hash(:sha256, File.read!(path)) |> Base.encode16(case: :lower)
+        :ets.insert(@hash_table, {path, mtime, size, hash})
+        hash
+    end
+  end
+
   defp valid_asset_path?(path) do
     # Allow common mesh formats with subdirectory paths
     valid_extensions = ~w(.stl .obj .dae .png .jpg .jpeg)
@@ -6,8 +6,18 @@ defmodule BbMujocoWeb.ViewerLive do
   - MuJoCo WASM physics simulation (server-driven via Simulation GenServer)
   - Three.js rendering
   - Joint control sliders
-  - Physics stepping controls
-  - Camera presets
+  - Physics stepping controls: pause and single-step, and a choice between
+    the Simulation's 50Hz control loop and a browser-side free-run mode at a
+    real-time factor. The hook free-runs whenever no Simulation is driving
+    (picking a factor pauses the Simulations; see
+    `BB.Mujoco.Simulation.driving?/1`) and yields as soon as one drives again
+  - Live model parameters (gravity, timestep, integrator)
+  - Trajectory recording and replay
+  - Camera presets, body follow mode and MJCF camera views
+  - Geom group visibility and debug overlays (contacts, joint axes, body
+    frames, centers of mass, inertia boxes, tendon paths, LiDAR scans)
+  - Multi-robot scenes (`BB.Mujoco.Scene`): every robot in the scene gets
+    its own Simulation; the joint panel controls the first one
 
   ## Architecture
 
@@ -28,6 +38,8 @@ defmodule BbMujocoWeb.ViewerLive do
   use BbMujocoWeb, :live_view
   require Logger
 
+  alias BB.Mujoco.Bridge
+  alias BB.Mujoco.Scene
   alias BB.Mujoco.Simulation
 
   # Available example robots
@@ -36,10 +48,41 @@ defmodule BbMujocoWeb.ViewerLive do
     {"BbMujoco.Examples.SixDofArm", "6-DOF Arm"},
     {"BbMujoco.Examples.DifferentialDrive", "Differential Drive"},
     {"BbMujoco.Examples.LinearActuator", "Linear Actuator"},
-    {"BbMujoco.Examples.PanTiltRobot", "Pan-Tilt Camera"}
+    {"BbMujoco.Examples.PanTiltRobot", "Pan-Tilt Camera"},
+    {"BbMujoco.Examples.Workcell", "Workcell (multi-robot)"}
   ]
 
-  # Camera presets
+  # Who steps physics: the Simulations ("elixir"), or the viewer's free-run
+  # mode at a real-time factor ("max" = as fast as possible)
+  @realtime_factors [
+    {"elixir", "Elixir (50Hz)"},
+    {"0.1", "0.1×"},
+    {"0.25", "0.25×"},
+    {"0.5", "0.5×"},
+    {"1", "1×"},
+    {"2", "2×"},
+    {"max", "Max"}
+  ]
+
+  # Control period the Step button advances free-running physics by
+  @step_dt 0.02
+
+  # MuJoCo integrators offered in the Physics panel
+  @integrators ~w(euler rk4 implicit implicitfast)
+
+  # Debug overlays understood by the hook's mujoco_visibility event
+  @overlays [
+    {"contacts", "Contacts"},
+    {"joints", "Joint axes"},
+    {"frames", "Body frames"},
+    {"com", "Centers of mass"},
+    {"inertia", "Inertia boxes"},
+    {"tendons", "Tendons"},
+    {"scans", "LiDAR scans"}
+  ]
+
+  # Camera presets (directions from the orbit target; the hook scales them to
+  # the distance the model was framed at)
   @camera_presets [
     {"front", "Front", {0, 0.5, 1.5}},
     {"side", "Side", {1.5, 0.5, 0}},
@@ -49,24 +92,43 @@ defmodule BbMujocoWeb.ViewerLive do
 
   @impl Phoenix.LiveView
   def mount(%{"robot" => robot_name}, _session, socket) do
-    robot = get_robot_module(robot_name)
+    robots = get_robot_module(robot_name) |> simulated_robots()
+    robot = List.first(robots)
 
     socket =
       socket
       |> assign(:robot, robot)
+      |> assign(:robots, robots)
       |> assign(:robot_name, robot_name)
       |> assign(:example_robots, @example_robots)
       |> assign(:camera_presets, @camera_presets)
       |> assign(:status, :initializing)
+      |> assign(:load_progress, nil)
       |> assign(:model_info, nil)
       |> assign(:error, nil)
       |> assign(:paused, false)
+      |> assign(:run_mode, nil)
+      |> assign(:realtime_factor, "elixir")
+      |> assign(:realtime_factors, @realtime_factors)
       |> assign(:panel_open, true)
       |> assign(:joints, [])
+      |> assign(:keyframes, [])
       |> assign(:joint_controls, %{})
       |> assign(:joint_positions, [])
       |> assign(:sim_time, 0.0)
       |> assign(:step_count, 0)
+      |> assign(:recording, false)
+      |> assign(:recorded, nil)
+      |> assign(:replay_frame, nil)
+      |> assign(:bodies, [])
+      |> assign(:cameras, [])
+      |> assign(:follow_body, nil)
+      |> assign(:view_camera, nil)
+      |> assign(:integrators, @integrators)
+      |> assign(:model_params, nil)
+      |> assign(:overlay_options, @overlays)
+      |> assign(:geom_groups, [0, 1, 2])
+      |> assign(:overlays, [])
 
     if connected?(socket) do
       # Subscribe to simulation tick broadcasts
@@ -74,8 +136,8 @@ defmodule BbMujocoWeb.ViewerLive do
       # Subscribe to bridge connection events
       Phoenix.PubSub.subscribe(BbMujoco.PubSub, "mujoco:#{robot}")
 
-      # Start Simulation GenServer for this robot
-      start_simulation(robot)
+      # Start a Simulation GenServer for each robot (one, unless a scene)
+      Enum.each(robots, &start_simulation/1)
     end
 
     {:ok, socket}
@@ -89,10 +151,10 @@ defmodule BbMujocoWeb.ViewerLive do
 
   @impl Phoenix.LiveView
   def terminate(_reason, socket) do
-    # Stop simulation when LiveView terminates
-    if socket.assigns[:robot] do
-      Logger.info("[ViewerLive] Terminating, stopping simulation for #{inspect(socket.assigns.robot)}")
-      Simulation.stop(socket.assigns.robot)
+    # Stop simulations when LiveView terminates
+    for robot <- socket.assigns[:robots] || [] do
+      Logger.info("[ViewerLive] Terminating, stopping simulation for #{inspect(robot)}")
+      Simulation.stop(robot)
     end
 
     :ok
@@ -152,9 +214,138 @@ defmodule BbMujocoWeb.ViewerLive do
                   Reset
                 </button>
               </div>
+              <%= if @keyframes != [] do %>
+                <.form for={%{}} phx-change="reset_keyframe" class="mt-2">
+                  <select
+                    name="keyframe"
+                    class="w-full px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  >
+                    <option value="">Reset to keyframe...</option>
+                    <%= for name <- @keyframes do %>
+                      <option value={name}><%= name %></option>
+                    <% end %>
+                  </select>
+                </.form>
+              <% end %>
+              <.form for={%{}} phx-change="set_realtime_factor" class="mt-2 flex items-center gap-2">
+                <label class="w-20 text-xs text-slate-300">Stepping</label>
+                <select
+                  name="rtf"
+                  class="flex-1 px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                >
+                  <%= for {value, label} <- @realtime_factors do %>
+                    <option value={value} selected={value == @realtime_factor}><%= label %></option>
+                  <% end %>
+                </select>
+              </.form>
               <div class="mt-2 text-xs text-slate-500">
                 Time: <%= Float.round(@sim_time, 2) %>s | Steps: <%= @step_count %>
+                <%= if @run_mode do %>
+                  | <%= run_mode_text(@run_mode) %>
+                <% end %>
+              </div>
+            </div>
+
+            <%!-- Model Parameters --%>
+            <div class="p-3 border-b border-slate-700">
+              <h3 class="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-2">Physics</h3>
+              <.form for={%{}} phx-submit="set_model_params" class="space-y-2">
+                <div class="flex items-center gap-2">
+                  <label class="w-20 text-xs text-slate-300">Gravity z</label>
+                  <input
+                    type="number"
+                    name="gravity_z"
+                    step="any"
+                    placeholder="-9.81"
+                    value={@model_params && Enum.at(@model_params["gravity"], 2)}
+                    class="flex-1 px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  />
+                </div>
+                <div class="flex items-center gap-2">
+                  <label class="w-20 text-xs text-slate-300">Timestep</label>
+                  <input
+                    type="number"
+                    name="timestep"
+                    step="any"
+                    min="0"
+                    placeholder="0.002"
+                    value={@model_params && @model_params["timestep"]}
+                    class="flex-1 px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  />
+                </div>
+                <div class="flex items-center gap-2">
+                  <label class="w-20 text-xs text-slate-300">Integrator</label>
+                  <select
+                    name="integrator"
+                    class="flex-1 px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  >
+                    <option value="">(unchanged)</option>
+                    <%= for integrator <- @integrators do %>
+                      <option
+                        value={integrator}
+                        selected={@model_params && @model_params["integrator"] == integrator}
+                      >
+                        <%= integrator %>
+                      </option>
+                    <% end %>
+                  </select>
+                </div>
+                <button
+                  type="submit"
+                  class="w-full px-3 py-1.5 text-xs bg-slate-600 hover:bg-slate-500 text-white rounded transition"
+                >
+                  Apply
+                </button>
+              </.form>
+            </div>
+
+            <%!-- Recording & Replay --%>
+            <div class="p-3 border-b border-slate-700">
+              <h3 class="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-2">Recording</h3>
+              <div class="flex gap-2">
+                <%= if @recording do %>
+                  <button
+                    phx-click="stop_recording"
+                    class="flex-1 px-3 py-1.5 text-xs bg-red-600 hover:bg-red-500 text-white rounded transition"
+                  >
+                    ■ Stop
+                  </button>
+                <% else %>
+                  <button
+                    phx-click="start_recording"
+                    class="flex-1 px-3 py-1.5 text-xs bg-slate-600 hover:bg-slate-500 text-white rounded transition"
+                  >
+                    ● Record
+                  </button>
+                <% end %>
+                <%= if @replay_frame do %>
+                  <button
+                    phx-click="exit_replay"
+                    class="px-3 py-1.5 text-xs bg-cyan-600 hover:bg-cyan-500 text-white rounded transition"
+                  >
+                    Live
+                  </button>
+                <% end %>
               </div>
+              <%= if @recorded && @recorded.frames > 0 do %>
+                <form phx-change="replay_seek" class="mt-2">
+                  <input
+                    type="range"
+                    name="frame"
+                    min="0"
+                    max={@recorded.frames - 1}
+                    step="1"
+                    value={@replay_frame || 0}
+                    class="w-full h-1.5 bg-slate-600 rounded-lg appearance-none cursor-pointer accent-cyan-500"
+                  />
+                </form>
+                <div class="mt-1 text-xs text-slate-500">
+                  <%= @recorded.frames %> frames | <%= Float.round(@recorded.duration * 1.0, 2) %>s
+                  <%= if @replay_frame do %>
+                    | Replaying frame <%= @replay_frame %>
+                  <% end %>
+                </div>
+              <% end %>
             </div>
 
             <%!-- Joint Controls --%>
@@ -208,6 +399,69 @@ defmodule BbMujocoWeb.ViewerLive do
                   </button>
                 <% end %>
               </div>
+              <%= if @bodies != [] do %>
+                <.form for={%{}} phx-change="follow_body" class="mt-2">
+                  <select
+                    name="body"
+                    class="w-full px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  >
+                    <option value="">Follow: off</option>
+                    <%= for name <- @bodies do %>
+                      <option value={name} selected={name == @follow_body}>Follow: <%= name %></option>
+                    <% end %>
+                  </select>
+                </.form>
+              <% end %>
+              <%= if @cameras != [] do %>
+                <.form for={%{}} phx-change="select_view" class="mt-2">
+                  <select
+                    name="camera"
+                    class="w-full px-2 py-1 text-xs bg-slate-700 text-white rounded border border-slate-600 focus:border-cyan-500 focus:outline-none"
+                  >
+                    <option value="">View: orbit camera</option>
+                    <%= for name <- @cameras do %>
+                      <option value={name} selected={name == @view_camera}>View: <%= name %></option>
+                    <% end %>
+                  </select>
+                </.form>
+              <% end %>
+            </div>
+
+            <%!-- Geom Groups and Debug Overlays --%>
+            <div class="p-3 border-t border-slate-700">
+              <h3 class="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-2">Display</h3>
+              <div class="flex items-center gap-1 mb-2" title="MuJoCo geom groups (3+ are usually collision-only)">
+                <span class="text-xs text-slate-500 mr-1">Groups</span>
+                <%= for group <- 0..5 do %>
+                  <button
+                    phx-click="toggle_geom_group"
+                    phx-value-group={group}
+                    class={[
+                      "w-6 py-0.5 text-xs rounded transition",
+                      if(group in @geom_groups,
+                        do: "bg-blue-600 text-white",
+                        else: "bg-slate-700 text-slate-400 hover:bg-slate-600"
+                      )
+                    ]}
+                  >
+                    <%= group %>
+                  </button>
+                <% end %>
+              </div>
+              <div class="space-y-1">
+                <%= for {id, name} <- @overlay_options do %>
+                  <label class="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      phx-click="toggle_overlay"
+                      phx-value-overlay={id}
+                      checked={id in @overlays}
+                      class="checkbox checkbox-xs"
+                    />
+                    <%= name %>
+                  </label>
+                <% end %>
+              </div>
             </div>
           </div>
         </aside>
@@ -261,6 +515,7 @@ defmodule BbMujocoWeb.ViewerLive do
               phx-update="ignore"
               data-robot={@robot_name}
               data-paused={to_string(@paused)}
+              data-real-time-factor={@realtime_factor}
               class="absolute inset-0"
             />
 
@@ -279,14 +534,20 @@ defmodule BbMujocoWeb.ViewerLive do
               <div class="absolute inset-0 flex items-center justify-center bg-slate-900/90 z-10">
                 <div class="flex flex-col items-center gap-3">
                   <div class="w-8 h-8 border-2 border-blue-500 border-t-transparent rounded-full animate-spin" />
-                  <p class="text-slate-400 text-sm">Loading MuJoCo WASM...</p>
+                  <p class="text-slate-400 text-sm">
+                    <%= if @load_progress do %>
+                      Loading assets (<%= @load_progress.loaded %>/<%= @load_progress.total %>)...
+                    <% else %>
+                      Loading MuJoCo WASM...
+                    <% end %>
+                  </p>
                 </div>
               </div>
             <% end %>
 
             <%!-- Controls hint --%>
             <div class="absolute bottom-3 right-3 text-xs text-slate-500/70 z-10 pointer-events-none">
-              Drag to rotate • Scroll to zoom • Right-drag to pan
+              Drag to rotate • Scroll to zoom • Right-drag to pan • Ctrl-drag to push
             </div>
           </main>
         </div>
@@ -311,23 +572,39 @@ defmodule BbMujocoWeb.ViewerLive do
 
     # Build joint info from model
     joints = build_joint_info(params)
-    nu = params["nu"] || 0
-
-    # Notify Simulation of joint count
-    if socket.assigns.robot && nu > 0 do
-      Simulation.set_joint_count(socket.assigns.robot, nu)
-      # Also notify backend is ready (WASM loaded)
-      Simulation.backend_ready(socket.assigns.robot)
+    # Notify each robot's Simulation of its joint count (scenes report
+    # joints per robot; the top-level fields describe the first robot)
+    for {name, info} <- params["robots"] || %{} do
+      robot = get_robot_module(name)
+
+      if robot in socket.assigns.robots and (info["nu"] || 0) > 0 do
+        Simulation.set_joint_count(robot, info["nu"])
+        # Also notify backend is ready (WASM loaded)
+        Simulation.backend_ready(robot)
+      end
     end
 
     {:noreply,
      socket
      |> assign(:status, :connected)
+     |> assign(:load_progress, nil)
      |> assign(:model_info, model_info)
      |> assign(:joints, joints)
+     |> assign(:keyframes, params["keyframes"] || [])
+     # The world body (first) can't be followed
+     |> assign(:bodies, Enum.drop(params["bodies"] || [], 1))
+     |> assign(:cameras, params["cameras"] || [])
+     |> assign(:follow_body, nil)
+     |> assign(:view_camera, nil)
      |> assign(:joint_controls, %{})}
   end
 
+  # Asset download progress while the model loads
+  def handle_event("mujoco_status", %{"status" => "loading"} = params, socket) do
+    {:noreply,
+     assign(socket, :load_progress, %{loaded: params["loaded"], total: params["total"]})}
+  end
+
   def handle_event("mujoco_status", %{"status" => "error", "message" => msg}, socket) do
     {:noreply,
      socket
@@ -342,14 +619,15 @@ defmodule BbMujocoWeb.ViewerLive do
   def handle_event("change_robot", %{"robot" => robot_name}, socket) do
     old_robot = socket.assigns.robot
 
-    # Stop old simulation
-    if old_robot do
-      Logger.info("[ViewerLive] Stopping simulation for robot change: #{inspect(old_robot)}")
-      Simulation.stop(old_robot)
+    # Stop old simulations
+    for robot <- socket.assigns.robots do
+      Logger.info("[ViewerLive] Stopping simulation for robot change: #{inspect(robot)}")
+      Simulation.stop(robot)
     end
 
-    # Get new robot module
-    new_robot = get_robot_module(robot_name)
+    # Get new robot module (or the robots of a scene)
+    new_robots = get_robot_module(robot_name) |> simulated_robots()
+    new_robot = List.first(new_robots)
 
     # Unsubscribe from old robot's PubSub topic
     if old_robot do
@@ -359,8 +637,8 @@ defmodule BbMujocoWeb.ViewerLive do
     # Subscribe to new robot's PubSub topic
     Phoenix.PubSub.subscribe(BbMujoco.PubSub, "mujoco:#{new_robot}")
 
-    # Start new simulation
-    start_simulation(new_robot)
+    # Start new simulations
+    Enum.each(new_robots, &start_simulation/1)
 
     # Push event to JS hook to reload model (instead of full page navigation)
     # This avoids race conditions with hook cleanup
@@ -368,13 +646,26 @@ defmodule BbMujocoWeb.ViewerLive do
     {:noreply,
      socket
      |> assign(:robot, new_robot)
+     |> assign(:robots, new_robots)
      |> assign(:robot_name, robot_name)
      |> assign(:status, :initializing)
+     |> assign(:load_progress, nil)
      |> assign(:model_info, nil)
      |> assign(:joints, [])
+     |> assign(:keyframes, [])
+     |> assign(:bodies, [])
+     |> assign(:cameras, [])
+     |> assign(:model_params, nil)
      |> assign(:joint_controls, %{})
      |> assign(:sim_time, 0.0)
      |> assign(:step_count, 0)
+     |> assign(:recording, false)
+     |> assign(:recorded, nil)
+     |> assign(:replay_frame, nil)
+     # New Simulations start driving, unpaused
+     |> assign(:paused, false)
+     |> assign(:realtime_factor, "elixir")
+     |> push_event("mujoco_run", %{paused: false})
      |> push_event("mujoco_load_robot", %{robot: robot_name})
      |> push_patch(to: ~p"/viewer/#{robot_name}", replace: true)}
   end
@@ -385,17 +676,44 @@ defmodule BbMujocoWeb.ViewerLive do
 
   def handle_event("toggle_pause", _params, socket) do
     new_paused = not socket.assigns.paused
+    socket = assign(socket, :paused, new_paused)
 
-    # Use Simulation GenServer to control pause state
-    if socket.assigns.robot do
-      Simulation.set_paused(socket.assigns.robot, new_paused)
-    end
+    # Pausing stops the Simulations driving, so the hook (paused too) holds
+    # still and single-steps; in free run they stay stopped either way
+    drive_simulations(socket)
 
-    {:noreply, assign(socket, :paused, new_paused)}
+    {:noreply, push_event(socket, "mujoco_run", %{paused: new_paused})}
   end
 
+  # Steps the hook's physics while paused (a no-op while a Simulation drives)
   def handle_event("step_physics", _params, socket) do
-    # Single step not implemented yet - would need to temporarily unpause
+    {:noreply, push_event(socket, "mujoco_step", %{dt: @step_dt})}
+  end
+
+  def handle_event("set_realtime_factor", %{"rtf" => rtf}, socket) do
+    if List.keymember?(@realtime_factors, rtf, 0) do
+      socket = assign(socket, :realtime_factor, rtf)
+      drive_simulations(socket)
+
+      {:noreply, push_event(socket, "mujoco_run", %{rtf: rtf})}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  # Who is stepping the viewer's physics, and its sim time while free-running
+  def handle_event("mujoco_run_status", %{"mode" => mode} = params, socket)
+      when mode in ~w(connecting elixir free_run paused) do
+    socket = assign(socket, :run_mode, mode)
+
+    socket =
+      case params["time"] do
+        time when is_number(time) and mode in ~w(free_run paused) ->
+          assign(socket, :sim_time, time * 1.0)
+
+        _ -> socket
+      end
+
     {:noreply, socket}
   end
 
@@ -412,6 +730,109 @@ defmodule BbMujocoWeb.ViewerLive do
      |> assign(:joint_controls, %{})}
   end
 
+  def handle_event("reset_keyframe", %{"keyframe" => ""}, socket) do
+    {:noreply, socket}
+  end
+
+  def handle_event("reset_keyframe", %{"keyframe" => keyframe}, socket) do
+    if socket.assigns.robot do
+      Simulation.reset(socket.assigns.robot, keyframe)
+    end
+
+    {:noreply,
+     socket
+     |> assign(:sim_time, 0.0)
+     |> assign(:step_count, 0)
+     |> assign(:joint_controls, %{})}
+  end
+
+  # Blank fields keep the model's current value. Gravity z replaces just the
+  # z component of the live gravity (x/y may have been set through the Bridge)
+  def handle_event("set_model_params", form, socket) do
+    robot = socket.assigns.robot
+
+    result =
+      bridge_call(fn ->
+        with {:ok, gravity} <- gravity_with_z(robot, parse_optional_float(form["gravity_z"])) do
+          params =
+            [
+              gravity: gravity,
+              timestep: parse_optional_float(form["timestep"]),
+              integrator: if(form["integrator"] in @integrators, do: form["integrator"])
+            ]
+            |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+
+          Bridge.set_model_params(robot, params)
+        end
+      end)
+
+    case result do
+      {:ok, %{params: model_params}} ->
+        {:noreply, assign(socket, :model_params, model_params)}
+
+      {:error, reason} ->
+        Logger.warning("[ViewerLive] set_model_params failed: #{inspect(reason)}")
+        {:noreply, put_flash(socket, :error, "Could not apply physics parameters: #{inspect(reason)}")}
+    end
+  end
+
+  def handle_event("start_recording", _params, socket) do
+    case bridge_call(fn -> Bridge.start_recording(socket.assigns.robot) end) do
+      {:ok, _} ->
+        {:noreply,
+         socket
+         |> assign(:recording, true)
+         |> assign(:recorded, nil)
+         |> assign(:replay_frame, nil)
+         |> push_event("mujoco_replay_stop", %{})}
+
+      {:error, reason} ->
+        Logger.warning("[ViewerLive] start_recording failed: #{inspect(reason)}")
+        {:noreply, put_flash(socket, :error, "Could not start recording: #{inspect(reason)}")}
+    end
+  end
+
+  def handle_event("stop_recording", _params, socket) do
+    case bridge_call(fn -> Bridge.stop_recording(socket.assigns.robot) end) do
+      {:ok, %{frames: frames, duration: duration}} ->
+        {:noreply,
+         socket
+         |> assign(:recording, false)
+         |> assign(:recorded, %{frames: frames, duration: duration})}
+
+      {:error, reason} ->
+        Logger.warning("[ViewerLive] stop_recording failed: #{inspect(reason)}")
+
+        {:noreply,
+         socket
+         |> assign(:recording, false)
+         |> put_flash(:error, "Could not stop recording: #{inspect(reason)}")}
+    end
+  end
+
+  # Frames outside the recording are clamped to it
+  def handle_event("replay_seek", %{"frame" => frame_str}, socket) do
+    case {Integer.parse(frame_str), socket.assigns.recorded} do
+      {{frame, ""}, %{frames: frames}} when frames > 0 ->
+        frame = frame |> max(0) |> min(frames - 1)
+
+        {:noreply,
+         socket
+         |> assign(:replay_frame, frame)
+         |> push_event("mujoco_replay", %{frame: frame})}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("exit_replay", _params, socket) do
+    {:noreply,
+     socket
+     |> assign(:replay_frame, nil)
+     |> push_event("mujoco_replay_stop", %{})}
+  end
+
   def handle_event("joint_change", %{"joint" => joint_params}, socket) do
     # Parse joint values and update targets via Simulation GenServer
     joint_controls =
@@ -439,25 +860,66 @@ defmodule BbMujocoWeb.ViewerLive do
   end
 
   def handle_event("set_camera", %{"preset" => preset_id}, socket) do
-    # Camera control stays as push_event since it's pure visualization
-    # not physics state - this is the ONLY push_event we keep
+    # Camera control stays as push_event since it's pure visualization,
+    # not physics state (as are replay, follow/view and mujoco_visibility)
     case Enum.find(@camera_presets, fn {id, _, _} -> id == preset_id end) do
       {_, _, {x, y, z}} ->
-        {:noreply, push_event(socket, "mujoco_camera", %{position: [x, y, z]})}
+        {:noreply,
+         socket
+         |> assign(:view_camera, nil)
+         |> push_event("mujoco_camera", %{position: [x, y, z]})}
 
       nil ->
         {:noreply, socket}
     end
   end
 
+  def handle_event("follow_body", %{"body" => body}, socket) do
+    body = if body == "", do: nil, else: body
+
+    {:noreply,
+     socket
+     |> assign(:follow_body, body)
+     |> push_event("mujoco_follow", %{body: body})}
+  end
+
+  def handle_event("select_view", %{"camera" => camera}, socket) do
+    camera = if camera == "", do: nil, else: camera
+
+    {:noreply,
+     socket
+     |> assign(:view_camera, camera)
+     |> push_event("mujoco_view", %{camera: camera})}
+  end
+
+  def handle_event("toggle_geom_group", %{"group" => group_str}, socket) do
+    case Integer.parse(group_str) do
+      {group, ""} when group in 0..5 ->
+        groups = socket.assigns.geom_groups |> toggle(group) |> Enum.sort()
+        {:noreply, socket |> assign(:geom_groups, groups) |> push_visibility()}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("toggle_overlay", %{"overlay" => overlay}, socket) do
+    if Enum.any?(@overlays, fn {id, _} -> id == overlay end) do
+      overlays = toggle(socket.assigns.overlays, overlay)
+      {:noreply, socket |> assign(:overlays, overlays) |> push_visibility()}
+    else
+      {:noreply, socket}
+    end
+  end
+
   # ============================================================================
   # PubSub Handlers
   # ============================================================================
 
   @impl Phoenix.LiveView
   def handle_info({:simulation_tick, %{robot: robot_name} = tick_data}, socket) do
-    # Only process ticks for our robot
-    if robot_name == socket.assigns.robot_name do
+    # Only process ticks for the robot the panel controls
+    if robot_name == inspect(socket.assigns.robot) do
       {:noreply,
        socket
        |> assign(:joint_positions, tick_data.joints)
@@ -517,6 +979,40 @@ defmodule BbMujocoWeb.ViewerLive do
 
   defp start_simulation(_robot), do: :ok
 
+  # The Simulations step physics unless paused or handed to free run
+  defp drive_simulations(socket) do
+    paused = socket.assigns.paused or socket.assigns.realtime_factor != "elixir"
+
+    for robot <- socket.assigns.robots do
+      Simulation.set_paused(robot, paused)
+    end
+
+    :ok
+  end
+
+  # Bridge calls exit when no Bridge is running (say its Simulation failed to
+  # start) or it doesn't answer; report that instead of crashing the LiveView
+  defp bridge_call(fun) do
+    fun.()
+  catch
+    :exit, reason ->
+      Logger.warning("[ViewerLive] Bridge unavailable: #{inspect(reason)}")
+      {:error, :bridge_unavailable}
+  end
+
+  defp gravity_with_z(_robot, nil), do: {:ok, nil}
+
+  defp gravity_with_z(robot, z) do
+    case Bridge.get_model_params(robot) do
+      {:ok, %{params: %{"gravity" => [x, y, _z]}}} -> {:ok, [x, y, z]}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  # Robots to simulate for a robot or scene module
+  defp simulated_robots(nil), do: []
+  defp simulated_robots(module), do: Scene.robot_modules(module)
+
   defp get_robot_module(robot_name) do
     String.to_existing_atom("Elixir.#{robot_name}")
   rescue
@@ -561,6 +1057,28 @@ defmodule BbMujocoWeb.ViewerLive do
     end
   end
 
+  defp toggle(list, item) do
+    if item in list, do: List.delete(list, item), else: [item | list]
+  end
+
+  # Geom groups and overlays are pure visualization, so they go straight to
+  # the hook like camera presets
+  defp push_visibility(socket) do
+    push_event(socket, "mujoco_visibility", %{
+      groups: socket.assigns.geom_groups,
+      overlays: socket.assigns.overlays
+    })
+  end
+
+  defp parse_optional_float(str) when is_binary(str) do
+    case Float.parse(str) do
+      {float, _} -> float
+      :error -> nil
+    end
+  end
+
+  defp parse_optional_float(_), do: nil
+
   defp parse_float_safe(str) when is_binary(str) do
     case Float.parse(str) do
       {float, _} -> float
@@ -583,6 +1101,11 @@ defmodule BbMujocoWeb.ViewerLive do
   defp status_color(:error), do: "bg-red-500"
   defp status_color(_), do: "bg-slate-500"
 
+  defp run_mode_text("connecting"), do: "Connecting..."
+  defp run_mode_text("elixir"), do: "Driven by Elixir"
+  defp run_mode_text("free_run"), do: "Free running"
+  defp run_mode_text("paused"), do: "Paused"
+
   defp status_text(:initializing), do: "Initializing..."
   defp status_text(:connected), do: "Connected"
   defp status_text(:disconnected), do: "Disconnected"
@@ -0,0 +1,66 @@
+defmodule BB.Mujoco.BinaryTest do
+  use ExUnit.Case, async: true
+
+  alias BB.Mujoco.Binary
+
+  describe "encode_command/3" do
+    test "packs step_with_targets header, dt and targets" do
+      assert {:ok, frame} = Binary.encode_command("step_with_targets", 7, %{targets: [0.5, -1], dt: 0.02})
+
+      assert <<2, 0, 2::little-16, 7::little-32, dt::little-float-64, a::little-float-64,
+               b::little-float-64>> = frame
+
+      assert dt == 0.02
+      assert a == 0.5
+      assert b == -1.0
+    end
+
+    test "packs step with no targets" do
+      assert {:ok, <<1, 0, 0::little-16, 3::little-32, _dt::little-float-64>>} =
+               Binary.encode_command("step", 3, %{dt: 0.02})
+    end
+
+    test "has no binary form for named targets or other commands" do
+      assert :error = Binary.encode_command("step_with_targets", 1, %{targets: %{"a" => 1.0}, dt: 0.02})
+      assert :error = Binary.encode_command("get_state", 1, %{})
+    end
+  end
+
+  describe "decode_response/2" do
+    test "unpacks joints, velocities and time" do
+      frame =
+        <<2, 0, 2::little-16, 9::little-32, 1.5::little-float-64, 0.1::little-float-64,
+          0.2::little-float-64, 0.3::little-float-64, 0.4::little-float-64>>
+
+      assert {:ok, response} = Binary.decode_response(frame, [])
+
+      assert response == %{
+               "id" => 9,
+               "status" => "ok",
+               "joints" => [0.1, 0.2],
+               "velocities" => [0.3, 0.4],
+               "time" => 1.5
+             }
+    end
+
+    test "maps sensordata back to named sensors" do
+      layout = [
+        %{"name" => "touch", "type" => "touch", "dim" => 1},
+        %{"name" => "imu_acc", "type" => "accelerometer", "dim" => 3}
+      ]
+
+      frame =
+        <<2, 0, 0::little-16, 1::little-32, 0.0::little-float-64, 4.0::little-float-64,
+          0.0::little-float-64, 0.0::little-float-64, 9.81::little-float-64>>
+
+      assert {:ok, %{"sensors" => sensors}} = Binary.decode_response(frame, layout)
+      assert sensors["touch"] == %{"type" => "touch", "values" => [4.0]}
+      assert sensors["imu_acc"] == %{"type" => "accelerometer", "values" => [0.0, 0.0, 9.81]}
+    end
+
+    test "rejects truncated frames" do
+      assert {:error, :invalid_frame} =
+               Binary.decode_response(<<2, 0, 2::little-16, 1::little-32, 0.0::little-float-64>>, [])
+    end
+  end
+end
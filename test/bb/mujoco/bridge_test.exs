@@ -49,6 +49,42 @@ defmodule BB.Mujoco.BridgeTest do
     test "reset returns error" do
       assert {:error, :disconnected} = Bridge.reset(TestRobotDisconnected)
     end
+
+    test "other commands return error" do
+      robot = TestRobotDisconnected
+
+      calls = [
+        named_set_joints: fn -> Bridge.set_joints(robot, %{"pan_joint" => 0.5}) end,
+        step_with_targets: fn -> Bridge.step_with_targets(robot, [0.1, 0.2], 0.02) end,
+        step_batch: fn -> Bridge.step_batch(robot, [{[0.1, 0.2], 0.02}, {[0.2, 0.3], 0.02}]) end,
+        step_trajectory: fn -> Bridge.step_trajectory(robot, [[0.1, 0.2], [0.2, 0.3]], 0.02) end,
+        get_sensors: fn -> Bridge.get_sensors(robot) end,
+        start_recording: fn -> Bridge.start_recording(robot) end,
+        stop_recording: fn -> Bridge.stop_recording(robot) end,
+        export_recording: fn -> Bridge.export_recording(robot) end,
+        save_state: fn -> Bridge.save_state(robot) end,
+        load_state: fn -> Bridge.load_state(robot, %{"time" => 0.0}) end,
+        apply_force: fn -> Bridge.apply_force(robot, "link1", force: [0.0, 0.0, 5.0]) end,
+        clear_forces: fn -> Bridge.clear_forces(robot, "link1") end,
+        clear_all_forces: fn -> Bridge.clear_forces(robot) end,
+        set_model_params: fn -> Bridge.set_model_params(robot, gravity: [0.0, 0.0, -1.62]) end,
+        get_model_params: fn -> Bridge.get_model_params(robot) end,
+        set_mocap: fn -> Bridge.set_mocap(robot, %{"target" => %{pos: [0.3, 0.0, 0.2]}}) end,
+        get_mocap: fn -> Bridge.get_mocap(robot) end,
+        get_contacts: fn -> Bridge.get_contacts(robot) end,
+        raycast_scan: fn -> Bridge.raycast_scan(robot, body: "tilt_link", max_range: 5.0) end,
+        get_camera_image: fn -> Bridge.get_camera_image(robot, "pan_tilt_cam", width: 64) end,
+        set_control_mode: fn -> Bridge.set_control_mode(robot, [:velocity, :position]) end,
+        named_set_control_mode: fn -> Bridge.set_control_mode(robot, %{"joint1" => :effort}) end,
+        reset_keyframe: fn -> Bridge.reset(robot, "home") end,
+        list_keyframes: fn -> Bridge.list_keyframes(robot) end,
+        get_state: fn -> Bridge.get_state(robot) end
+      ]
+
+      # Every call runs, so one failure doesn't hide the others
+      failed = for {name, call} <- calls, call.() != {:error, :disconnected}, do: name
+      assert failed == []
+    end
   end
 
   describe "register_channel/2" do
@@ -65,5 +101,393 @@ defmodule BB.Mujoco.BridgeTest do
 
       assert Bridge.connected?(TestRobotChannel)
     end
+
+    test "resumed ready resyncs cached state without a command" do
+      Phoenix.PubSub.subscribe(BbMujoco.PubSub, "mujoco:#{TestRobotChannel}")
+      :ok = Bridge.register_channel(TestRobotChannel, self())
+
+      Bridge.negotiate(TestRobotChannel, %{
+        "resume" => true,
+        "time" => 1.5,
+        "joints" => [0.1, 0.2],
+        "velocities" => [0.0, 0.0]
+      })
+
+      assert_receive {:mujoco_resumed, %{time: 1.5, joints: [0.1, 0.2]}}
+      assert {:ok, %{time: 1.5, joints: [0.1, 0.2]}} = Bridge.get_state(TestRobotChannel)
+      refute_received {:push, "physics:command", _}
+    end
+  end
+
+  describe "named joint targets" do
+    setup do
+      {:ok, _pid} = start_supervised({Bridge, robot: TestRobotNamed})
+      :ok = Bridge.register_channel(TestRobotNamed, self())
+      :ok
+    end
+
+    test "unknown joint names are reported" do
+      task = Task.async(fn -> Bridge.set_joints(TestRobotNamed, %{"bogus_joint" => 1.0}) end)
+
+      assert_receive {:push, "physics:command",
+                      %{cmd: "set_joints", id: id, params: %{joints: %{"bogus_joint" => 1.0}}}}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "error",
+        "message" => "Unknown joints: bogus_joint",
+        "unknown" => ["bogus_joint"]
+      })
+
+      assert {:error, {:unknown_joints, ["bogus_joint"]}} = Task.await(task)
+    end
+
+    test "control modes are sent as strings and reported with cached state" do
+      task =
+        Task.async(fn -> Bridge.set_control_mode(TestRobotNamed, %{"wheel" => :velocity}) end)
+
+      assert_receive {:push, "physics:command",
+                      %{
+                        cmd: "set_control_mode",
+                        id: id,
+                        params: %{modes: %{"wheel" => "velocity"}}
+                      }}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "ok",
+        "modes" => ["velocity", "position"]
+      })
+
+      assert {:ok, %{modes: ["velocity", "position"]}} = Task.await(task)
+
+      task = Task.async(fn -> Bridge.step(TestRobotNamed, 0.02) end)
+      assert_receive {:push, "physics:command", %{cmd: "step", id: id}}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "ok",
+        "joints" => [0.0, 0.0],
+        "velocities" => [1.0, 0.0],
+        "time" => 0.02
+      })
+
+      assert {:ok, _} = Task.await(task)
+      assert {:ok, %{modes: ["velocity", "position"]}} = Bridge.get_state(TestRobotNamed)
+    end
+
+    test "cached state from get_state reports modes set since" do
+      task = Task.async(fn -> Bridge.get_state(TestRobotNamed) end)
+      assert_receive {:push, "physics:command", %{cmd: "get_state", id: id}}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "ok",
+        "joints" => [0.0, 0.0],
+        "velocities" => [0.0, 0.0],
+        "time" => 0.0,
+        "modes" => ["position", "position"]
+      })
+
+      assert {:ok, %{modes: ["position", "position"]}} = Task.await(task)
+
+      task = Task.async(fn -> Bridge.set_control_mode(TestRobotNamed, ["effort", "position"]) end)
+      assert_receive {:push, "physics:command", %{cmd: "set_control_mode", id: id}}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "ok",
+        "modes" => ["effort", "position"]
+      })
+
+      assert {:ok, _} = Task.await(task)
+      assert {:ok, %{modes: ["effort", "position"]}} = Bridge.get_state(TestRobotNamed)
+      refute_received {:push, "physics:command", _}
+    end
+
+    test "a fresh load reports every actuator in position mode" do
+      Bridge.negotiate(TestRobotNamed, %{"nu" => 2})
+
+      task = Task.async(fn -> Bridge.step(TestRobotNamed, 0.02) end)
+      assert_receive {:push, "physics:command", %{cmd: "step", id: id}}
+
+      Bridge.handle_response(TestRobotNamed, %{
+        "id" => id,
+        "status" => "ok",
+        "joints" => [0.0, 0.0],
+        "velocities" => [0.0, 0.0],
+        "time" => 0.02
+      })
+
+      assert {:ok, _} = Task.await(task)
+      assert {:ok, %{modes: ["position", "position"]}} = Bridge.get_state(TestRobotNamed)
+    end
+
+    test "a resume keeps the browser's control modes" do
+      Bridge.negotiate(TestRobotNamed, %{
+        "nu" => 2,
+        "resume" => true,
+        "time" => 1.0,
+        "joints" => [0.1, 0.2],
+        "velocities" => [0.0, 0.0],
+        "modes" => ["effort", "position"]
+      })
+
+      assert {:ok, %{time: 1.0, modes: ["effort", "position"]}} = Bridge.get_state(TestRobotNamed)
+    end
+  end
+
+  describe "commands over the channel" do
+    setup do
+      {:ok, _pid} = start_supervised({Bridge, robot: TestRobotCommands})
+      :ok = Bridge.register_channel(TestRobotCommands, self())
+      :ok
+    end
+
+    test "get_sensors sends no params" do
+      {task, %{cmd: "get_sensors", params: params} = command} =
+        call_channel(fn -> Bridge.get_sensors(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"sensors" => %{}})
+    end
+
+    test "step_with_targets sends targets and dt" do
+      {task, %{cmd: "step_with_targets", params: params} = command} =
+        call_channel(fn -> Bridge.step_with_targets(TestRobotCommands, [0.1, 0.2], 0.02) end)
+
+      assert params == %{targets: [0.1, 0.2], dt: 0.02}
+      assert {:ok, _} = reply(task, command, %{"joints" => [0.1, 0.2], "velocities" => [0.0, 0.0]})
+    end
+
+    test "recording commands encode their options" do
+      {task, %{cmd: "start_recording", params: params} = command} =
+        call_channel(fn -> Bridge.start_recording(TestRobotCommands, capacity: 500) end)
+
+      assert params == %{capacity: 500}
+      assert {:ok, _} = reply(task, command, %{})
+
+      {task, %{cmd: "stop_recording", params: params} = command} =
+        call_channel(fn -> Bridge.stop_recording(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"frames" => 0, "duration" => 0.0})
+
+      {task, %{cmd: "export_recording", params: params} = command} =
+        call_channel(fn -> Bridge.export_recording(TestRobotCommands, poses: true) end)
+
+      assert params == %{poses: true}
+      assert {:ok, _} = reply(task, command, %{"recording" => %{"frames" => []}})
+    end
+
+    test "save_state sends no params and load_state sends the blob as is" do
+      {task, %{cmd: "save_state", params: params} = command} =
+        call_channel(fn -> Bridge.save_state(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"state" => %{}})
+
+      blob = %{"time" => 1.25, "qpos" => [0.1, 0.2], "qvel" => [0.0, 0.0], "ctrl" => [0.1, 0.2]}
+
+      {task, %{cmd: "load_state", params: params} = command} =
+        call_channel(fn -> Bridge.load_state(TestRobotCommands, blob) end)
+
+      assert params == %{state: blob}
+      assert {:ok, _} = reply(task, command, %{"joints" => [0.1, 0.2], "velocities" => [0.0, 0.0]})
+    end
+
+    test "step_batch encodes tuple and map entries" do
+      {task, %{cmd: "step_batch", params: params} = command} =
+        call_channel(fn ->
+          Bridge.step_batch(TestRobotCommands, [{[0.1, 0.2], 0.02}, %{dt: 0.01}])
+        end)
+
+      assert params == %{entries: [%{targets: [0.1, 0.2], dt: 0.02}, %{dt: 0.01}]}
+      assert {:ok, _} = reply(task, command, %{"states" => []})
+    end
+
+    test "step_trajectory sends one ctrl row per dt" do
+      {task, %{cmd: "step_batch", params: params} = command} =
+        call_channel(fn ->
+          Bridge.step_trajectory(TestRobotCommands, [[0.1, 0.2], [0.2, 0.3]], 0.02)
+        end)
+
+      assert params == %{trajectory: %{ctrl: [[0.1, 0.2], [0.2, 0.3]], dt: 0.02}}
+      assert {:ok, _} = reply(task, command, %{"states" => []})
+    end
+
+    test "step_batch times out after its own timeout" do
+      task = Task.async(fn -> Bridge.step_batch(TestRobotCommands, [{[0.1], 0.02}], timeout: 50) end)
+      assert_receive {:push, "physics:command", %{cmd: "step_batch"}}
+      assert {:error, :timeout} = Task.await(task)
+    end
+
+    test "apply_force fills in defaults and accepts body indices" do
+      {task, %{cmd: "apply_force", params: params} = command} =
+        call_channel(fn ->
+          Bridge.apply_force(TestRobotCommands, "link1",
+            force: [0.0, 0.0, 5.0],
+            frame: :body,
+            duration: 0.5
+          )
+        end)
+
+      assert params == %{
+               body: "link1",
+               force: [0.0, 0.0, 5.0],
+               torque: [0.0, 0.0, 0.0],
+               frame: "body",
+               duration: 0.5
+             }
+
+      assert {:ok, _} = reply(task, command, %{})
+
+      {task, %{params: %{body: 2, frame: "world", duration: nil}} = command} =
+        call_channel(fn -> Bridge.apply_force(TestRobotCommands, 2, torque: [0.0, 0.0, 1.0]) end)
+
+      assert {:ok, _} = reply(task, command, %{})
+    end
+
+    test "clear_forces targets one body or all of them" do
+      {task, %{cmd: "clear_forces", params: params} = command} =
+        call_channel(fn -> Bridge.clear_forces(TestRobotCommands, "link1") end)
+
+      assert params == %{body: "link1"}
+      assert {:ok, _} = reply(task, command, %{})
+
+      {task, %{cmd: "clear_forces", params: params} = command} =
+        call_channel(fn -> Bridge.clear_forces(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{})
+    end
+
+    test "get_contacts sends no params" do
+      {task, %{cmd: "get_contacts", params: params} = command} =
+        call_channel(fn -> Bridge.get_contacts(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"contacts" => []})
+    end
+
+    test "get_camera_image decodes the rgb and depth payloads" do
+      {task, %{cmd: "get_camera_image", params: params} = command} =
+        call_channel(fn ->
+          Bridge.get_camera_image(TestRobotCommands, "pan_tilt_cam", width: 2, height: 1, depth: true)
+        end)
+
+      assert params == %{camera: "pan_tilt_cam", width: 2, height: 1, depth: true}
+
+      rgb = <<255, 0, 0, 0, 255, 0>>
+      depth = <<1.5::little-float-32, 0.0::little-float-32>>
+
+      assert {:ok, %{camera: "pan_tilt_cam", width: 2, height: 1, rgb: ^rgb, depth: ^depth}} =
+               reply(task, command, %{
+                 "camera" => "pan_tilt_cam",
+                 "width" => 2,
+                 "height" => 1,
+                 "time" => 0.5,
+                 "rgb" => Base.encode64(rgb),
+                 "depth" => Base.encode64(depth)
+               })
+    end
+
+    test "get_camera_image uses defaults and its own timeout" do
+      task = Task.async(fn -> Bridge.get_camera_image(TestRobotCommands, 0, timeout: 50) end)
+
+      assert_receive {:push, "physics:command",
+                      %{cmd: "get_camera_image", params: %{camera: 0, width: 320, height: 240, depth: false}}}
+
+      assert {:error, :timeout} = Task.await(task)
+    end
+
+    test "set_mocap sends poses and get_mocap no params" do
+      poses = %{"target" => %{pos: [0.3, 0.0, 0.2]}}
+
+      {task, %{cmd: "set_mocap", params: params} = command} =
+        call_channel(fn -> Bridge.set_mocap(TestRobotCommands, poses) end)
+
+      assert params == %{bodies: poses}
+      assert {:ok, _} = reply(task, command, %{"mocap" => %{}})
+
+      {task, %{cmd: "get_mocap", params: params} = command} =
+        call_channel(fn -> Bridge.get_mocap(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"mocap" => %{}})
+    end
+
+    test "set_model_params sends the integrator as a string" do
+      {task, %{cmd: "set_model_params", params: params} = command} =
+        call_channel(fn ->
+          Bridge.set_model_params(TestRobotCommands,
+            gravity: [0.0, 0.0, -1.62],
+            integrator: :rk4,
+            body_mass: %{"link2" => 0.8}
+          )
+        end)
+
+      assert params == %{
+               gravity: [0.0, 0.0, -1.62],
+               integrator: "rk4",
+               body_mass: %{"link2" => 0.8}
+             }
+
+      assert {:ok, _} = reply(task, command, %{"params" => %{}})
+
+      {task, %{cmd: "get_model_params", params: params} = command} =
+        call_channel(fn -> Bridge.get_model_params(TestRobotCommands) end)
+
+      assert params == %{}
+      assert {:ok, _} = reply(task, command, %{"params" => %{}})
+    end
+
+    test "raycast_scan sends only scan options" do
+      {task, %{cmd: "raycast_scan", params: params} = command} =
+        call_channel(fn ->
+          Bridge.raycast_scan(TestRobotCommands,
+            site: "lidar",
+            angle_min: -1.0,
+            angle_max: 1.0,
+            resolution: 1.0,
+            max_range: 8.0,
+            groups: [0, 1],
+            bogus: true
+          )
+        end)
+
+      assert params == %{
+               site: "lidar",
+               angle_min: -1.0,
+               angle_max: 1.0,
+               resolution: 1.0,
+               max_range: 8.0,
+               groups: [0, 1]
+             }
+
+      assert {:ok, _} = reply(task, command, %{"ranges" => []})
+    end
+
+    test "set_control_mode sends positional modes as strings" do
+      {task, %{cmd: "set_control_mode", params: params} = command} =
+        call_channel(fn -> Bridge.set_control_mode(TestRobotCommands, [:effort, "position"]) end)
+
+      assert params == %{modes: ["effort", "position"]}
+      assert {:ok, _} = reply(task, command, %{"modes" => ["effort", "position"]})
+    end
+  end
+
+  # Run a Bridge call with this process as its channel; returns the call's
+  # task and the command it pushed
+  defp call_channel(fun) do
+    task = Task.async(fun)
+    assert_receive {:push, "physics:command", %{cmd: _, id: _, params: _} = command}
+    {task, command}
+  end
+
+  # Answer a pushed command ("status" defaults to "ok") and await the call
+  defp reply(task, %{id: id}, response) do
+    Bridge.handle_response(TestRobotCommands, Map.merge(%{"id" => id, "status" => "ok"}, response))
+    Task.await(task)
   end
 end
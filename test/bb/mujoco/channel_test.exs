@@ -39,6 +39,57 @@ defmodule BB.Mujoco.ChannelTest do
       ref = push(socket, "physics:ready", %{"nq" => 2, "nv" => 2, "nu" => 2})
       assert_reply ref, :ok
     end
+
+    test "negotiates binary encoding when offered", %{socket: socket} do
+      ref = push(socket, "physics:ready", %{"nq" => 2, "nv" => 2, "nu" => 2, "binary" => true})
+      assert_reply ref, :ok, %{encoding: "binary"}
+    end
+
+    test "falls back to json encoding", %{socket: socket} do
+      ref = push(socket, "physics:ready", %{"nq" => 2, "nv" => 2, "nu" => 2})
+      assert_reply ref, :ok, %{encoding: "json"}
+    end
+
+    test "reports whether a simulation is driving", %{socket: socket} do
+      ref = push(socket, "physics:ready", %{"nq" => 2, "nv" => 2, "nu" => 2})
+      assert_reply ref, :ok, %{driving: false}
+
+      # The Bridge is already connected, so the control loop starts at once
+      {:ok, _sim} = start_supervised({BB.Mujoco.Simulation, robot: BbMujoco.TestRobot, joint_count: 2})
+      assert_push "physics:driving", %{driving: true}
+
+      :ok = BB.Mujoco.Simulation.set_paused(BbMujoco.TestRobot, true)
+      assert_push "physics:driving", %{driving: false}
+
+      ref = push(socket, "physics:ready", %{"nq" => 2, "nv" => 2, "nu" => 2})
+      assert_reply ref, :ok, %{driving: false}
+
+      :ok = BB.Mujoco.Simulation.set_paused(BbMujoco.TestRobot, false)
+      assert_push "physics:driving", %{driving: true}
+      assert BB.Mujoco.Simulation.driving?(BbMujoco.TestRobot)
+
+      :ok = stop_supervised(BB.Mujoco.Simulation)
+      assert_push "physics:driving", %{driving: false}
+      refute BB.Mujoco.Simulation.driving?(BbMujoco.TestRobot)
+    end
+
+    test "resumes the bridge on rejoin", %{socket: socket} do
+      Phoenix.PubSub.subscribe(BbMujoco.PubSub, "mujoco:#{BbMujoco.TestRobot}")
+
+      ref =
+        push(socket, "physics:ready", %{
+          "nq" => 2,
+          "nv" => 2,
+          "nu" => 2,
+          "resume" => true,
+          "time" => 3.0,
+          "joints" => [0.5, 0.0],
+          "velocities" => [0.0, 0.0]
+        })
+
+      assert_reply ref, :ok
+      assert_receive {:mujoco_resumed, %{time: 3.0, joints: [0.5, 0.0]}}
+    end
   end
 
   describe "handle_in physics:response" do
@@ -3,6 +3,26 @@ defmodule BB.Mujoco.ExporterTest do
 
   alias BB.Mujoco.Exporter
 
+  defmodule OverlappingScene do
+    def scene do
+      %{
+        robots: [
+          {BbMujoco.TestRobot, prefix: "arm"},
+          {BbMujoco.Examples.LinearActuator, prefix: "arm2/"}
+        ]
+      }
+    end
+  end
+
+  defmodule ClashingPropScene do
+    def scene do
+      %{
+        robots: [{BbMujoco.Examples.LinearActuator, prefix: "slider/"}],
+        props: [%{name: "slider/base_link", type: :sphere, size: [0.05]}]
+      }
+    end
+  end
+
   describe "to_mjcf/2 basic structure" do
     test "generates valid MJCF XML structure" do
       mjcf = Exporter.to_mjcf(BbMujoco.TestRobot)
@@ -224,6 +244,47 @@ defmodule BB.Mujoco.ExporterTest do
     end
   end
 
+  describe "to_scene_mjcf/2" do
+    test "prefixes each robot's bodies, joints and actuators" do
+      mjcf = Exporter.to_scene_mjcf(BbMujoco.TestScene)
+
+      assert mjcf =~ ~r/<body name="test_robot\/pan_link"[^>]*>\s*<joint name="test_robot\/pan_joint"/s
+      assert mjcf =~ ~r/<position name="test_robot\/pan_joint_pos" joint="test_robot\/pan_joint"/
+      assert mjcf =~ ~r/<position name="slider\/slider_joint_pos" joint="slider\/slider_joint"/
+    end
+
+    test "places root bodies and records robot prefixes" do
+      mjcf = Exporter.to_scene_mjcf(BbMujoco.TestScene)
+
+      assert mjcf =~ ~r/<body name="slider\/base_link" pos="0 0.5 0"/
+      assert mjcf =~ ~s(<text name="bb_robot:BbMujoco.TestRobot" data="test_robot/"/>)
+      assert mjcf =~ ~s(<text name="bb_robot:BbMujoco.Examples.LinearActuator" data="slider/"/>)
+    end
+
+    test "adds static and free props to the world" do
+      mjcf = Exporter.to_scene_mjcf(BbMujoco.TestScene)
+
+      assert mjcf =~ ~r/<geom name="table" type="box" size="0.2 0.2 0.01" pos="0.4 0 0.3"/
+      assert mjcf =~ ~r/<body name="cube" pos="0.4 0 0.35">\s*<freejoint\/>/s
+    end
+
+    test "rejects robot prefixes that start with one another" do
+      assert_raise ArgumentError, ~r/overlapping prefixes "arm" and "arm2\/"/, fn ->
+        Exporter.to_scene_mjcf(OverlappingScene)
+      end
+    end
+
+    test "rejects props named like robot bodies" do
+      assert_raise ArgumentError, ~r/props named like robot bodies.*"slider\/base_link"/, fn ->
+        Exporter.to_scene_mjcf(ClashingPropScene)
+      end
+    end
+
+    test "single robot export stays unprefixed" do
+      refute Exporter.to_mjcf(BbMujoco.TestRobot) =~ "test_robot/"
+    end
+  end
+
   describe "to_mjcf_file/3" do
     @tag :tmp_dir
     test "writes MJCF to file", %{tmp_dir: tmp_dir} do
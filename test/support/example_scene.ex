@@ -0,0 +1,19 @@
+defmodule BbMujoco.TestScene do
+  @moduledoc """
+  Test scene: the test robot and a linear actuator side by side, with a
+  static table and a free cube.
+  """
+
+  def scene do
+    %{
+      robots: [
+        BbMujoco.TestRobot,
+        {BbMujoco.Examples.LinearActuator, prefix: "slider/", pos: [0, 0.5, 0]}
+      ],
+      props: [
+        %{name: "table", type: :box, size: [0.2, 0.2, 0.01], pos: [0.4, 0, 0.3]},
+        %{name: "cube", type: :box, size: [0.02, 0.02, 0.02], pos: [0.4, 0, 0.35], free: true}
+      ]
+    }
+  end
+end